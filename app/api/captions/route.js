@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { saveUploadedCaptions } from '@/app/lib/transcripts';
+import { getVideoId } from '@/app/utils/youtube';
+import { MAX_CAPTIONS_LENGTH, parseCaptions } from '@/app/utils/captions';
+import { parseLanguage } from '@/app/utils/languages';
+
+// Upload captions (SRT, WebVTT or plain text) for a YouTube video, used when no
+// transcript can be fetched for it
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { url, captions, language: rawLanguage } = await request.json();
+
+    const videoId = getVideoId(url);
+    if (!videoId) {
+      return NextResponse.json({ error: 'A YouTube video URL is required' }, { status: 400 });
+    }
+    const { language, error: languageError } = parseLanguage(rawLanguage);
+    if (languageError) {
+      return NextResponse.json({ error: languageError }, { status: 400 });
+    }
+    if (typeof captions !== 'string' || !captions.trim()) {
+      return NextResponse.json({ error: 'Captions are required' }, { status: 400 });
+    }
+    if (captions.length > MAX_CAPTIONS_LENGTH) {
+      return NextResponse.json({ error: 'Caption file is too large' }, { status: 413 });
+    }
+
+    const segments = parseCaptions(captions);
+    if (segments.length === 0) {
+      return NextResponse.json({ error: 'No caption text found in the file' }, { status: 400 });
+    }
+
+    await saveUploadedCaptions(userId, videoId, segments, language);
+    return NextResponse.json({
+      videoId,
+      segments: segments.length,
+      timed: segments[0].start !== null
+    });
+  } catch (error) {
+    console.error('Error uploading captions:', error);
+    return NextResponse.json(
+      { error: 'Failed to upload captions' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse, after } from 'next/server';
+import { runNextCourseJob } from '@/app/lib/courses';
+import { isInternalRequest, unauthorizedResponse } from '@/app/lib/auth';
+
+export const maxDuration = 300;
+
+// Run the next queued source of a course in a request of its own; only called by the app
+// itself once the previous source is done
+export async function POST(request, { params }) {
+  if (!isInternalRequest(request)) {
+    return unauthorizedResponse();
+  }
+
+  const { id } = await params;
+  after(() => runNextCourseJob(new URL(request.url).origin, id));
+  return NextResponse.json({ courseId: id }, { status: 202 });
+}
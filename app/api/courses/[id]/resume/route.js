@@ -0,0 +1,46 @@
+import { NextResponse, after } from 'next/server';
+import { getCourse, getResumableJobIds, runNextCourseJob } from '@/app/lib/courses';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+
+export const maxDuration = 300;
+
+// Continue a batch that was cut off: run its sources that never started or stalled mid-run
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const userId = await getUserId(request);
+    if (!userId) {
+      return unauthorizedResponse();
+    }
+
+    const course = await getCourse(id, userId);
+    if (!course) {
+      return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+    }
+
+    if (course.items.some(item => item.status === 'running' && !item.stalled)) {
+      return NextResponse.json(
+        { error: 'Course is still processing' },
+        { status: 409 }
+      );
+    }
+
+    const jobIds = await getResumableJobIds(course);
+    if (jobIds.length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing left to process in this course' },
+        { status: 409 }
+      );
+    }
+
+    after(() => runNextCourseJob(new URL(request.url).origin, id));
+
+    return NextResponse.json({ courseId: id, queued: jobIds.length }, { status: 202 });
+  } catch (error) {
+    console.error('Error resuming course:', error);
+    return NextResponse.json(
+      { error: 'Failed to resume course' },
+      { status: 500 }
+    );
+  }
+}
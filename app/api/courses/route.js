@@ -0,0 +1,124 @@
+import { NextResponse, after } from 'next/server';
+import { createCourse, listCourses, runNextCourseJob } from '@/app/lib/courses';
+import { MAX_BATCH_SOURCES, expandPlaylist, isPlaylistUrl, parseBatchUrls } from '@/app/lib/playlists';
+import { parseSummaryLimit } from '@/app/lib/merge';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { parseLanguage } from '@/app/utils/languages';
+import { parseGenerationOptions } from '@/app/utils/generationOptions';
+import { MAX_TITLE_LENGTH } from '@/app/utils/titles';
+
+// A batch runs its first source after the response is sent; each later one gets its own request
+export const maxDuration = 300;
+
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const courses = await listCourses(userId);
+    return NextResponse.json({ courses });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch courses' },
+      { status: 500 }
+    );
+  }
+}
+
+// Process a batch of sources as a course. `links` holds playlist or channel links and/or
+// single links, one per line; playlists and channels are expanded into their videos.
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const {
+      links,
+      title,
+      summaryLimit: rawSummaryLimit,
+      outputLanguage: rawOutputLanguage,
+      generationOptions: rawGenerationOptions
+    } = await request.json();
+
+    const { urls, error: linksError } = parseBatchUrls(links);
+    if (linksError) {
+      return NextResponse.json({ error: linksError }, { status: 400 });
+    }
+
+    const { summaryLimit, error: summaryLimitError } = parseSummaryLimit(rawSummaryLimit);
+    if (summaryLimitError) {
+      return NextResponse.json({ error: summaryLimitError }, { status: 400 });
+    }
+
+    const { language: outputLanguage, error: outputLanguageError } =
+      parseLanguage(rawOutputLanguage, 'Output language');
+    if (outputLanguageError) {
+      return NextResponse.json({ error: outputLanguageError }, { status: 400 });
+    }
+
+    const { generationOptions, error: generationOptionsError } = parseGenerationOptions(rawGenerationOptions);
+    if (generationOptionsError) {
+      return NextResponse.json({ error: generationOptionsError }, { status: 400 });
+    }
+
+    // Sources past MAX_BATCH_SOURCES are left out and reported as truncated
+    const sources = [];
+    const playlists = [];
+    let truncated = false;
+    for (const url of urls) {
+      if (sources.length >= MAX_BATCH_SOURCES) {
+        truncated = true;
+        break;
+      }
+      if (!isPlaylistUrl(url)) {
+        sources.push({ url, title: null });
+        continue;
+      }
+
+      try {
+        const playlist = await expandPlaylist(url, { limit: MAX_BATCH_SOURCES - sources.length });
+        playlists.push({ url, title: playlist.title });
+        sources.push(...playlist.videos);
+        truncated = truncated || playlist.truncated;
+      } catch (error) {
+        const message = error?.response?.data?.error?.message || error.message;
+        return NextResponse.json({ error: `Could not expand ${url}: ${message}` }, { status: 400 });
+      }
+    }
+
+    const courseTitle = (typeof title === 'string' && title.trim()) ||
+      (playlists.length === 1 ? playlists[0].title : `Batch of ${sources.length} sources`);
+
+    const { course, jobIds } = await createCourse({
+      userId,
+      title: courseTitle.slice(0, MAX_TITLE_LENGTH),
+      sourceUrl: playlists.length === 1 && urls.length === 1 ? playlists[0].url : null,
+      sources,
+      summaryLimit,
+      outputLanguage,
+      generationOptions
+    });
+
+    if (jobIds.length > 0) {
+      after(() => runNextCourseJob(new URL(request.url).origin, course.id));
+    }
+
+    return NextResponse.json({
+      course,
+      queued: jobIds.length,
+      skipped: course.items.length - jobIds.length,
+      truncated
+    }, { status: 202 });
+  } catch (error) {
+    console.error('Error creating course:', error);
+    return NextResponse.json(
+      { error: 'Failed to create course' },
+      { status: 500 }
+    );
+  }
+}
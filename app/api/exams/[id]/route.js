@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { getExam } from '@/app/lib/exams';
+
+export async function GET(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const exam = await getExam(id, userId);
+    if (!exam) {
+      return NextResponse.json({ error: 'Exam not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ exam });
+  } catch (error) {
+    console.error('Error fetching exam:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch exam' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { submitExam } from '@/app/lib/exams';
+
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { answers = {}, timeTakenMs } = await request.json();
+
+    const result = await submitExam(id, userId, answers, timeTakenMs);
+    if (!result) {
+      return NextResponse.json({ error: 'Exam not found' }, { status: 404 });
+    }
+    if (result.alreadySubmitted) {
+      return NextResponse.json(
+        { error: 'Exam has already been submitted' },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Error submitting exam:', error);
+    return NextResponse.json(
+      { error: 'Failed to submit exam' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { createExam, parseExamSettings } from '@/app/lib/exams';
+
+// Start a timed exam drawn from one or more sources
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { settings, errors } = parseExamSettings(await request.json());
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join('. ') }, { status: 400 });
+    }
+
+    const result = await createExam(userId, settings);
+    if (!result) {
+      return NextResponse.json(
+        { error: 'No questions match these settings' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ examId: result.exam.id }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating exam:', error);
+    return NextResponse.json(
+      { error: 'Failed to create exam' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { reportStudyItem } from '@/app/lib/studyItems';
+import { parseReportReason } from '@/app/utils/studyItems';
+
+// Flag one of the user's flashcards as wrong, with an optional note on what is wrong
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { reason: rawReason } = await request.json();
+
+    const { reason, error: reasonError } = parseReportReason(rawReason);
+    if (reasonError) {
+      return NextResponse.json({ error: reasonError }, { status: 400 });
+    }
+
+    const result = await reportStudyItem('flashcard', userId, id, reason);
+    if (!result) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ report: result.report, flashcard: result.item }, { status: 201 });
+  } catch (error) {
+    console.error('Error reporting flashcard:', error);
+    return NextResponse.json(
+      { error: 'Failed to report flashcard' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/app/lib/supabase';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { GRADES, scheduleReview } from '@/app/utils/spacedRepetition';
+
+// Record a recall grade for a card and persist its next review date
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { grade } = await request.json();
+
+    if (!GRADES.includes(grade)) {
+      return NextResponse.json(
+        { error: `Grade must be one of: ${GRADES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const { data: card, error: cardError } = await supabase
+      .from('flashcards')
+      .select('id, ease_factor, interval_days, repetitions')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (cardError) {
+      console.error('Database error:', cardError);
+      throw cardError;
+    }
+    if (!card) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    const schedule = scheduleReview(card, grade);
+    const { data: updated, error: updateError } = await supabase
+      .from('flashcards')
+      .update(schedule)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id, ease_factor, interval_days, repetitions, due_at, last_reviewed_at')
+      .single();
+
+    if (updateError) {
+      console.error('Database error:', updateError);
+      throw updateError;
+    }
+
+    return NextResponse.json({ card: updated });
+  } catch (error) {
+    console.error('Error recording flashcard review:', error);
+    return NextResponse.json(
+      { error: 'Failed to record review' },
+      { status: 500 }
+    );
+  }
+}
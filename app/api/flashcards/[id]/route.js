@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { deleteStudyItem, updateStudyItem } from '@/app/lib/studyItems';
+import { parseFlashcard } from '@/app/utils/studyItems';
+
+// Replace the question and answer of one of the user's flashcards
+export async function PATCH(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { flashcard, error: flashcardError } = parseFlashcard(await request.json());
+    if (flashcardError) {
+      return NextResponse.json({ error: flashcardError }, { status: 400 });
+    }
+
+    const updated = await updateStudyItem('flashcard', userId, id, flashcard);
+    if (!updated) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ flashcard: updated });
+  } catch (error) {
+    console.error('Error updating flashcard:', error);
+    return NextResponse.json(
+      { error: 'Failed to update flashcard' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    if (!await deleteStudyItem('flashcard', userId, id)) {
+      return NextResponse.json({ error: 'Flashcard not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting flashcard:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete flashcard' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { supabase } from '@/app/lib/supabase';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+
+const SESSION_SIZE = 50;
+
+// Cards due for review now: overdue cards first, then cards never reviewed
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data: cards, count, error } = await supabase
+      .from('flashcards')
+      .select(`
+        id,
+        question,
+        answer,
+        ease_factor,
+        interval_days,
+        repetitions,
+        due_at,
+        last_reviewed_at,
+        study_materials!inner (
+          url,
+          title,
+          thumbnail,
+          deleted_at
+        )
+      `, { count: 'exact' })
+      .eq('user_id', userId)
+      .is('study_materials.deleted_at', null)
+      .or(`due_at.is.null,due_at.lte.${now}`)
+      .order('due_at', { ascending: true, nullsFirst: false })
+      .limit(SESSION_SIZE);
+
+    if (error) {
+      console.error('Database error:', error);
+      throw error;
+    }
+
+    return NextResponse.json({ cards: cards || [], dueCount: count || 0 });
+  } catch (error) {
+    console.error('Error fetching due flashcards:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch due flashcards' },
+      { status: 500 }
+    );
+  }
+}
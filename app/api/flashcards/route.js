@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { createStudyItem } from '@/app/lib/studyItems';
+import { parseFlashcard } from '@/app/utils/studyItems';
+
+// Add a hand-written flashcard to one of the user's study materials
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { studyMaterialId, ...fields } = await request.json();
+
+    const { flashcard, error: flashcardError } = parseFlashcard(fields);
+    if (flashcardError) {
+      return NextResponse.json({ error: flashcardError }, { status: 400 });
+    }
+
+    const created = await createStudyItem('flashcard', userId, studyMaterialId, flashcard);
+    if (!created) {
+      return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ flashcard: created }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating flashcard:', error);
+    return NextResponse.json(
+      { error: 'Failed to create flashcard' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse, after } from 'next/server';
+import { getJob, resetFailedChunks, runJob } from '@/app/lib/jobs';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+
+export const maxDuration = 300;
+
+// Re-run only the chunks of a job that failed or were cut off, in the background
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const userId = await getUserId(request);
+    if (!userId) {
+      return unauthorizedResponse();
+    }
+
+    const job = await getJob(id, userId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const retryable = ['partial', 'failed'].includes(job.status) || job.stalled;
+    if (!retryable) {
+      return NextResponse.json(
+        { error: `Job is ${job.status} and cannot be retried` },
+        { status: 409 }
+      );
+    }
+
+    await resetFailedChunks(id);
+    after(() => runJob(id));
+
+    return NextResponse.json({ jobId: id, status: 'queued' }, { status: 202 });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    return NextResponse.json(
+      { error: 'Failed to retry job' },
+      { status: 500 }
+    );
+  }
+}
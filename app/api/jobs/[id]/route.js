@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getJob } from '@/app/lib/jobs';
+import { getStudyMaterial, loadStudyMaterials } from '@/app/lib/studyMaterials';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const job = await getJob(id, userId);
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    // Finished jobs also return their materials so a polling client can show them
+    let materials = null;
+    if (job.status === 'done' && job.study_material_id) {
+      const studyMaterial = await getStudyMaterial(job.study_material_id);
+      if (studyMaterial) {
+        materials = await loadStudyMaterials(studyMaterial);
+      }
+    }
+
+    return NextResponse.json({ job, materials });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch job' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { listJobs } from '@/app/lib/jobs';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const jobs = await listJobs(userId);
+    return NextResponse.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch jobs' },
+      { status: 500 }
+    );
+  }
+}
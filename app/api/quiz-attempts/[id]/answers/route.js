@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { getAttempt, recordAnswer } from '@/app/lib/quizAttempts';
+
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { quizId, selectedOption, timeTakenMs } = await request.json();
+
+    if (!quizId || typeof selectedOption !== 'string') {
+      return NextResponse.json(
+        { error: 'Quiz ID and selected option are required' },
+        { status: 400 }
+      );
+    }
+
+    const attempt = await getAttempt(id, userId);
+    if (!attempt) {
+      return NextResponse.json({ error: 'Attempt not found' }, { status: 404 });
+    }
+
+    const result = await recordAnswer(attempt, { quizId, selectedOption, timeTakenMs });
+    if (!result) {
+      return NextResponse.json({ error: 'Quiz not found in this attempt' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      answer: result.answer,
+      isCorrect: result.answer.is_correct,
+      correctAnswer: result.correctAnswer
+    });
+  } catch (error) {
+    console.error('Error recording quiz answer:', error);
+    return NextResponse.json(
+      { error: 'Failed to record answer' },
+      { status: 500 }
+    );
+  }
+}
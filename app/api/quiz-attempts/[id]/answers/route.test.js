@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const tables = {};
+const inserted = [];
+
+// Just enough of the Supabase query builder for quiz attempts: eq filters, maybeSingle,
+// and inserts that are recorded instead of stored
+function from(table) {
+  const filters = [];
+  const query = {
+    select: () => query,
+    eq: (column, value) => {
+      filters.push(row => String(row[column]) === String(value));
+      return query;
+    },
+    maybeSingle: async () => ({
+      data: (tables[table] || []).find(row => filters.every(filter => filter(row))) ?? null,
+      error: null
+    }),
+    insert: (rows) => {
+      inserted.push(...rows);
+      return {
+        select: () => ({ single: async () => ({ data: { id: 1, ...rows[0] }, error: null }) })
+      };
+    }
+  };
+  return query;
+}
+
+vi.mock('@/app/lib/supabase', () => ({ supabase: { from } }));
+vi.mock('@/app/lib/auth', () => ({
+  getUserId: async () => 'user-1',
+  unauthorizedResponse: () => new Response(null, { status: 401 })
+}));
+
+const { POST } = await import('./route');
+
+function answer(attemptId) {
+  const request = new Request(`http://localhost/api/quiz-attempts/${attemptId}/answers`, {
+    method: 'POST',
+    body: JSON.stringify({ quizId: 10, selectedOption: 'B' })
+  });
+  return POST(request, { params: Promise.resolve({ id: String(attemptId) }) });
+}
+
+describe('POST /api/quiz-attempts/[id]/answers', () => {
+  beforeEach(() => {
+    inserted.length = 0;
+    tables.quiz_attempts = [
+      { id: 1, user_id: 'user-1', study_material_id: 5, mode: 'practice' },
+      { id: 2, user_id: 'user-1', study_material_id: 5, mode: 'exam' }
+    ];
+    tables.quizzes = [
+      { id: 10, user_id: 'user-1', study_material_id: 5, correct_answer: 'B' }
+    ];
+  });
+
+  it('checks an answer in a practice attempt', async () => {
+    const response = await answer(1);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ isCorrect: true, correctAnswer: 'B' });
+    expect(inserted).toHaveLength(1);
+  });
+
+  it('does not check answers of an exam', async () => {
+    const response = await answer(2);
+    expect(response.status).toBe(404);
+    expect(await response.json()).not.toHaveProperty('correctAnswer');
+    expect(inserted).toHaveLength(0);
+  });
+});
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { createAttempt, listAttempts, summarizeBySource } from '@/app/lib/quizAttempts';
+
+// Attempt history with scores, plus the best and last attempt for each source
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const searchParams = new URL(request.url).searchParams;
+    const attempts = await listAttempts(userId, {
+      studyMaterialId: searchParams.get('studyMaterialId'),
+      includeAnswers: searchParams.get('includeAnswers') === 'true'
+    });
+
+    return NextResponse.json({ attempts, sources: summarizeBySource(attempts) });
+  } catch (error) {
+    console.error('Error fetching quiz attempts:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch quiz attempts' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { studyMaterialId } = await request.json();
+    if (!studyMaterialId) {
+      return NextResponse.json(
+        { error: 'Study material ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const attempt = await createAttempt(userId, studyMaterialId);
+    return NextResponse.json({ attempt }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating quiz attempt:', error);
+    return NextResponse.json(
+      { error: 'Failed to create quiz attempt' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { deleteStudyItem, updateStudyItem } from '@/app/lib/studyItems';
+import { parseQuizQuestion } from '@/app/utils/studyItems';
+
+// Replace the question, options and correct answer of one of the user's quiz questions
+export async function PATCH(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { quiz, error: quizError } = parseQuizQuestion(await request.json());
+    if (quizError) {
+      return NextResponse.json({ error: quizError }, { status: 400 });
+    }
+
+    const updated = await updateStudyItem('quiz', userId, id, quiz);
+    if (!updated) {
+      return NextResponse.json({ error: 'Question not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ quiz: updated });
+  } catch (error) {
+    console.error('Error updating quiz question:', error);
+    return NextResponse.json(
+      { error: 'Failed to update quiz question' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    if (!await deleteStudyItem('quiz', userId, id)) {
+      return NextResponse.json({ error: 'Question not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting quiz question:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete quiz question' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,9 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { QUIZ_DIFFICULTIES } from '@/app/utils/difficulty';
+import { createStudyItem } from '@/app/lib/studyItems';
+import { parseQuizQuestion } from '@/app/utils/studyItems';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -9,40 +13,62 @@ const supabase = createClient(
 
 export async function GET(request) {
   try {
-    // Get the authorization header
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json({ error: 'Missing or invalid authorization header' }, { status: 401 });
-    }
-
-    // Get user ID from the token
-    const userId = authHeader.split('Bearer ')[1];
+    // Get user ID from the verified ID token
+    const userId = await getUserId(request);
     if (!userId) {
-      return NextResponse.json({ error: 'Invalid authorization token' }, { status: 401 });
+      return unauthorizedResponse();
     }
 
     console.log('Fetching quizzes for user:', userId);
 
+    // Optional ?difficulty=easy,medium filter on per-question difficulty
+    const difficulties = (new URL(request.url).searchParams.get('difficulty') || '')
+      .split(',')
+      .map(d => d.trim().toLowerCase())
+      .filter(d => QUIZ_DIFFICULTIES.includes(d));
+
     // Get all quizzes for the user with related study material info
-    const { data: quizzes, error: quizzesError } = await supabase
+    let query = supabase
       .from('quizzes')
       .select(`
         id,
         question,
         options,
         correct_answer,
+        difficulty,
+        start_seconds,
+        end_seconds,
+        page_start,
+        page_end,
+        flagged_at,
         created_at,
-        study_materials (
+        study_material_id,
+        study_materials!inner (
           url,
+          title,
+          channel,
+          duration_seconds,
+          published_at,
+          transcript_language,
+          output_language,
+          generation_options,
           summary,
           difficulty_level,
           estimated_study_time,
-          thumbnail
+          thumbnail,
+          deleted_at
         )
       `)
       .eq('user_id', userId)
+      .is('study_materials.deleted_at', null)
       .order('created_at', { ascending: false });
 
+    if (difficulties.length > 0) {
+      query = query.in('difficulty', difficulties);
+    }
+
+    const { data: quizzes, error: quizzesError } = await query;
+
     if (quizzesError) {
       console.error('Database error:', quizzesError);
       throw quizzesError;
@@ -55,3 +81,33 @@ export async function GET(request) {
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
 }
+
+// Add a hand-written question to one of the user's study materials
+export async function POST(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { studyMaterialId, ...fields } = await request.json();
+
+    const { quiz, error: quizError } = parseQuizQuestion(fields);
+    if (quizError) {
+      return NextResponse.json({ error: quizError }, { status: 400 });
+    }
+
+    const created = await createStudyItem('quiz', userId, studyMaterialId, quiz);
+    if (!created) {
+      return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ quiz: created }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating quiz question:', error);
+    return NextResponse.json(
+      { error: 'Failed to create quiz question' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { getStudyMaterial } from '@/app/lib/studyMaterials';
+import { generateMoreItems } from '@/app/lib/moreMaterials';
+import { describeGenerationError } from '@/app/lib/generation';
+import { parseMoreRequest } from '@/app/utils/studyItems';
+
+export const maxDuration = 300;
+
+// Generate more flashcards or quiz questions for a source with the user's instructions,
+// e.g. { type: 'quiz', count: 10, instructions: 'hard questions on the second half' }.
+// Responds with the generation run and the items it added; 200 with an 'empty' run and no
+// items when nothing new came up.
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const { request: moreRequest, error: requestError } = parseMoreRequest(await request.json());
+    if (requestError) {
+      return NextResponse.json({ error: requestError }, { status: 400 });
+    }
+
+    const studyMaterial = await getStudyMaterial(id);
+    if (!studyMaterial || studyMaterial.user_id !== userId || studyMaterial.deleted_at) {
+      return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+    }
+
+    const result = await generateMoreItems(studyMaterial, userId, moreRequest);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json(result, { status: result.run.status === 'empty' ? 200 : 201 });
+  } catch (error) {
+    console.error('Error generating more study materials:', error);
+    return NextResponse.json(
+      { error: describeGenerationError(error) },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { restoreStudyMaterial } from '@/app/lib/studyMaterials';
+
+// Take a source out of the trash
+export async function POST(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const result = await restoreStudyMaterial(id, userId);
+    if (!result) {
+      return NextResponse.json({ error: 'No such study material in the trash' }, { status: 404 });
+    }
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    return NextResponse.json({ material: result.material });
+  } catch (error) {
+    console.error('Error restoring study material:', error);
+    return NextResponse.json(
+      { error: 'Failed to restore study material' },
+      { status: 500 }
+    );
+  }
+}
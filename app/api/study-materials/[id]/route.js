@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import {
+  getStudyMaterial,
+  loadStudyMaterials,
+  removeStudyMaterial,
+  trashStudyMaterial
+} from '@/app/lib/studyMaterials';
+
+// Full materials of one source, in the shape StudyMaterialsModal shows
+export async function GET(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+    const studyMaterial = await getStudyMaterial(id);
+    if (!studyMaterial || studyMaterial.user_id !== userId || studyMaterial.deleted_at) {
+      return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+    }
+
+    const materials = await loadStudyMaterials(studyMaterial);
+    return NextResponse.json({
+      materials: { ...materials, id: studyMaterial.id, url: studyMaterial.url }
+    });
+  } catch (error) {
+    console.error('Error fetching study material:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch study material' },
+      { status: 500 }
+    );
+  }
+}
+
+// Move a source to the trash, where it can be restored for 30 days; ?permanent=true
+// removes it and everything generated from it right away (also from the trash)
+export async function DELETE(request, { params }) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const { id } = await params;
+
+    if (new URL(request.url).searchParams.get('permanent') === 'true') {
+      if (!await removeStudyMaterial(id, userId)) {
+        return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+      }
+      return NextResponse.json({ deleted: true });
+    }
+
+    const trashed = await trashStudyMaterial(id, userId);
+    if (!trashed) {
+      return NextResponse.json({ error: 'Study material not found' }, { status: 404 });
+    }
+    return NextResponse.json({ trashed });
+  } catch (error) {
+    console.error('Error deleting study material:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete study material' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { listStudyMaterials, searchStudyMaterials } from '@/app/lib/studyMaterials';
+
+const SUMMARY_PREVIEW_POINTS = 3;
+
+// Library listing with optional ?q= full-text search and ?tag= filter
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const searchParams = new URL(request.url).searchParams;
+    const materials = await listStudyMaterials(userId);
+
+    // Tag counts over the whole library, so filters stay visible while searching
+    const tagCounts = {};
+    for (const material of materials) {
+      for (const { tag } of material.hashtags || []) {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      }
+    }
+
+    const results = searchStudyMaterials(materials, {
+      query: searchParams.get('q') || '',
+      tag: searchParams.get('tag') || ''
+    }).map(({ hashtags, flashcards, quizzes, summary, ...material }) => ({
+      ...material,
+      summary_preview: (summary || []).slice(0, SUMMARY_PREVIEW_POINTS),
+      hashtags: (hashtags || []).map(h => h.tag),
+      flashcards_count: flashcards?.length || 0,
+      quizzes_count: quizzes?.length || 0
+    }));
+
+    return NextResponse.json({
+      materials: results,
+      tags: Object.entries(tagCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([tag, count]) => ({ tag, count }))
+    });
+  } catch (error) {
+    console.error('Error fetching study materials:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch study materials' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { TRASH_RETENTION_DAYS, listTrash } from '@/app/lib/studyMaterials';
+
+// Deleted sources that can still be restored, each with the date it is removed for good
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  try {
+    const materials = await listTrash(userId);
+    return NextResponse.json({ materials, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch trash' },
+      { status: 500 }
+    );
+  }
+}
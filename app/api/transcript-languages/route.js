@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { listTranscriptLanguages } from '@/app/lib/transcripts';
+import { getVideoId } from '@/app/utils/youtube';
+
+// Caption languages a video offers, for picking the transcript to study from
+export async function GET(request) {
+  const userId = await getUserId(request);
+  if (!userId) {
+    return unauthorizedResponse();
+  }
+
+  const videoId = getVideoId(new URL(request.url).searchParams.get('url'));
+  if (!videoId) {
+    return NextResponse.json({ error: 'A YouTube video URL is required' }, { status: 400 });
+  }
+
+  const languages = await listTranscriptLanguages(videoId);
+  return NextResponse.json({ languages });
+}
@@ -1,32 +1,48 @@
 import { NextResponse } from 'next/server';
 import { supabase } from '@/app/lib/supabase';
+import { getUserId, unauthorizedResponse } from '@/app/lib/auth';
+import { endOfToday } from '@/app/utils/spacedRepetition';
 
+// Counts of the user's flashcards and quiz questions, and of the flashcards due today.
+// ?dueBefore= is the end of the user's day (an ISO date), as only the client knows its timezone;
+// without it the server's day is used.
 export async function GET(request) {
-  const searchParams = new URL(request.url).searchParams;
-  const userId = searchParams.get('userId');
-
+  const userId = await getUserId(request);
   if (!userId) {
-    return NextResponse.json(
-      { error: 'User ID is required' },
-      { status: 400 }
-    );
+    return unauthorizedResponse();
+  }
+
+  const rawDueBefore = new URL(request.url).searchParams.get('dueBefore');
+  const dueBefore = rawDueBefore ? new Date(rawDueBefore) : endOfToday();
+  if (Number.isNaN(dueBefore.getTime())) {
+    return NextResponse.json({ error: 'dueBefore must be a date' }, { status: 400 });
   }
 
   try {
-    const [flashcardsCount, quizzesCount] = await Promise.all([
+    // Items of sources in the trash no longer count
+    const [flashcardsCount, quizzesCount, dueFlashcardsCount] = await Promise.all([
       supabase
         .from('flashcards')
-        .select('id', { count: 'exact' })
-        .eq('user_id', userId),
+        .select('id, study_materials!inner (deleted_at)', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('study_materials.deleted_at', null),
       supabase
         .from('quizzes')
-        .select('id', { count: 'exact' })
+        .select('id, study_materials!inner (deleted_at)', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('study_materials.deleted_at', null),
+      supabase
+        .from('flashcards')
+        .select('id, study_materials!inner (deleted_at)', { count: 'exact', head: true })
         .eq('user_id', userId)
+        .is('study_materials.deleted_at', null)
+        .or(`due_at.is.null,due_at.lte.${dueBefore.toISOString()}`)
     ]);
 
     return NextResponse.json({
       flashcardsCount: flashcardsCount.count || 0,
-      quizzesCount: quizzesCount.count || 0
+      quizzesCount: quizzesCount.count || 0,
+      dueFlashcardsCount: dueFlashcardsCount.count || 0
     });
   } catch (error) {
     console.error('Error fetching user stats:', error);
@@ -0,0 +1,121 @@
+'use client';
+
+import { QUIZ_DIFFICULTIES } from '../utils/difficulty';
+import {
+  MAX_EXAM_FOCUS_LENGTH,
+  MAX_FLASHCARD_COUNT,
+  MAX_QUIZ_COUNT,
+  QUESTION_TYPES
+} from '../utils/generationOptions';
+
+// Form state of the fields below; blank fields are left to the model
+export const EMPTY_GENERATION_OPTIONS = {
+  flashcardCount: '',
+  quizCount: '',
+  difficultyMix: Object.fromEntries(QUIZ_DIFFICULTIES.map(level => [level, ''])),
+  questionTypes: [],
+  examFocus: ''
+};
+
+const EXAM_SUGGESTIONS = ['UPSC', 'GATE', 'JEE', 'NEET', 'SAT', 'GRE'];
+
+const numberClassName = 'w-20 rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm';
+
+// Collapsible generation options of the home page form: target counts, quiz difficulty mix,
+// question kinds and exam focus. `value` has the shape of EMPTY_GENERATION_OPTIONS.
+export default function GenerationOptionsFields({ value, onChange }) {
+  const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const toggleType = (type) => set(
+    'questionTypes',
+    value.questionTypes.includes(type)
+      ? value.questionTypes.filter(other => other !== type)
+      : [...value.questionTypes, type]
+  );
+
+  return (
+    <details className="mt-3 text-sm text-gray-600">
+      <summary className="cursor-pointer select-none font-medium text-gray-700">Generation options</summary>
+      <div className="mt-3 space-y-3">
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2">
+            Flashcards
+            <input
+              type="number"
+              min="1"
+              max={MAX_FLASHCARD_COUNT}
+              value={value.flashcardCount}
+              onChange={(e) => set('flashcardCount', e.target.value)}
+              placeholder="Auto"
+              className={numberClassName}
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Quiz questions
+            <input
+              type="number"
+              min="1"
+              max={MAX_QUIZ_COUNT}
+              value={value.quizCount}
+              onChange={(e) => set('quizCount', e.target.value)}
+              placeholder="Auto"
+              className={numberClassName}
+            />
+          </label>
+        </div>
+
+        <fieldset>
+          <legend className="mb-1">Difficulty mix (% of quiz questions, adding up to 100)</legend>
+          <div className="flex flex-wrap gap-4">
+            {QUIZ_DIFFICULTIES.map(level => (
+              <label key={level} className="flex items-center gap-2 capitalize">
+                {level}
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={value.difficultyMix[level]}
+                  onChange={(e) => set('difficultyMix', { ...value.difficultyMix, [level]: e.target.value })}
+                  placeholder="Auto"
+                  className={numberClassName}
+                />
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend className="mb-1">Question types (none checked means any)</legend>
+          <div className="flex flex-wrap gap-4">
+            {QUESTION_TYPES.map(type => (
+              <label key={type.value} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={value.questionTypes.includes(type.value)}
+                  onChange={() => toggleType(type.value)}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+                />
+                {type.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <label className="flex items-center gap-2">
+          Exam focus
+          <input
+            type="text"
+            list="exam-suggestions"
+            maxLength={MAX_EXAM_FOCUS_LENGTH}
+            value={value.examFocus}
+            onChange={(e) => set('examFocus', e.target.value)}
+            placeholder="e.g. UPSC, GATE, JEE"
+            className="w-48 rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm"
+          />
+          <datalist id="exam-suggestions">
+            {EXAM_SUGGESTIONS.map(exam => <option key={exam} value={exam} />)}
+          </datalist>
+        </label>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,17 @@
+'use client';
+
+import { formatPageRange, getPageLabel } from '../utils/pages';
+
+// "Page 3" / "Slides 4–6" badge showing where in an uploaded document an item comes from
+export default function PageReference({ url, pageRange, className = '' }) {
+  if (!pageRange) return null;
+
+  return (
+    <span
+      title="Where this comes from in the document"
+      className={`inline-flex items-center gap-1 rounded-full bg-sky-50 px-2 py-0.5 text-xs font-medium text-sky-700 ${className}`}
+    >
+      {formatPageRange(pageRange, getPageLabel(url))}
+    </span>
+  );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+
+const POLL_INTERVAL_MS = 3000;
+
+const statusStyles = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-indigo-100 text-indigo-700',
+  partial: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-700',
+  done: 'bg-green-100 text-green-700'
+};
+
+export default function ProcessingJobs({ refreshKey, onOpenMaterials }) {
+  const { user, authFetch } = useAuth();
+  const [jobs, setJobs] = useState([]);
+  const [retrying, setRetrying] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    if (!user) return;
+    try {
+      const response = await authFetch('/api/jobs');
+      if (!response.ok) throw new Error('Failed to fetch jobs');
+      const data = await response.json();
+      setJobs(data.jobs || []);
+    } catch (err) {
+      console.error('Error fetching jobs:', err);
+    }
+  }, [user, authFetch]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs, refreshKey]);
+
+  // Keep polling while any job is still in flight
+  const hasActiveJobs = jobs.some(job => ['queued', 'running'].includes(job.status) && !job.stalled);
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const interval = setInterval(fetchJobs, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs, fetchJobs]);
+
+  const retryJob = async (jobId) => {
+    setRetrying(jobId);
+    setError(null);
+    try {
+      const response = await authFetch(`/api/jobs/${jobId}/retry`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to retry job');
+      }
+      await fetchJobs();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const openJob = async (jobId) => {
+    try {
+      const response = await authFetch(`/api/jobs/${jobId}`);
+      if (!response.ok) throw new Error('Failed to load study materials');
+      const data = await response.json();
+      if (data.materials) onOpenMaterials(data.materials);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-sm font-semibold text-gray-900">Recent processing jobs</h3>
+      {error && (
+        <div className="mt-2 rounded-md bg-red-50 p-2 text-xs text-red-600">{error}</div>
+      )}
+      <ul className="mt-2 divide-y divide-gray-100 rounded-lg border border-gray-200">
+        {jobs.map(job => {
+          const status = job.stalled ? 'partial' : job.status;
+          const canRetry = ['partial', 'failed'].includes(job.status) || job.stalled;
+          return (
+            <li key={job.id} className="flex items-center justify-between gap-3 p-3 text-sm">
+              <div className="min-w-0">
+                <p className="truncate text-gray-700">{job.title || job.source_url}</p>
+                <p className="mt-0.5 text-xs text-gray-500">
+                  {job.total_chunks > 0
+                    ? `${job.completed_chunks} of ${job.total_chunks} chunks done`
+                    : 'Waiting for content'}
+                  {job.error && ` · ${job.error}`}
+                </p>
+              </div>
+              <div className="flex flex-shrink-0 items-center gap-2">
+                <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${statusStyles[status]}`}>
+                  {job.stalled ? 'stalled' : job.status}
+                </span>
+                {canRetry && (
+                  <button
+                    onClick={() => retryJob(job.id)}
+                    disabled={retrying === job.id}
+                    className="rounded-md bg-indigo-600 px-2 py-1 text-xs font-semibold text-white hover:bg-indigo-500 disabled:opacity-50"
+                  >
+                    {retrying === job.id ? 'Retrying...' : 'Retry failed chunks'}
+                  </button>
+                )}
+                {job.status === 'done' && (
+                  <button
+                    onClick={() => openJob(job.id)}
+                    className="rounded-md border border-gray-300 px-2 py-1 text-xs font-semibold text-gray-700 hover:bg-gray-50"
+                  >
+                    View
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,363 @@
+'use client';
+
+import { useState } from 'react';
+import { QUIZ_DIFFICULTIES, DEFAULT_DIFFICULTY } from '../utils/difficulty';
+import {
+  DEFAULT_MORE_COUNT,
+  MAX_INSTRUCTIONS_LENGTH,
+  MAX_MORE_COUNT,
+  MAX_QUIZ_OPTIONS,
+  MIN_QUIZ_OPTIONS,
+  parseFlashcard,
+  parseMoreRequest,
+  parseQuizQuestion
+} from '../utils/studyItems';
+
+const inputClassName = 'block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm';
+
+// Save parsed form fields ({ value } or { error }) through `onSave`; validation and save errors are both shown
+function useSaveHandler(onSave) {
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const save = async (parsed) => {
+    if (parsed.error) {
+      setError(parsed.error);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(parsed.value);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return { error, saving, save };
+}
+
+function FormButtons({ saving, onCancel }) {
+  return (
+    <div className="flex gap-2">
+      <button
+        type="submit"
+        disabled={saving}
+        className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="rounded-md border border-gray-200 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+// Write or correct a flashcard; `initial` is the card being edited, if any
+export function FlashcardForm({ initial = null, onSave, onCancel }) {
+  const [question, setQuestion] = useState(initial?.question || '');
+  const [answer, setAnswer] = useState(initial?.answer || '');
+  const { error, saving, save } = useSaveHandler(onSave);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { flashcard, error: parseError } = parseFlashcard({ question, answer });
+    save({ value: flashcard, error: parseError });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-xl border border-indigo-100 bg-white p-4 shadow-md">
+      <textarea
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        rows={2}
+        placeholder="Question"
+        className={inputClassName}
+      />
+      <textarea
+        value={answer}
+        onChange={(e) => setAnswer(e.target.value)}
+        rows={2}
+        placeholder="Answer"
+        className={inputClassName}
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <FormButtons saving={saving} onCancel={onCancel} />
+    </form>
+  );
+}
+
+// Write or correct a multiple choice question; the correct answer is picked among the options
+export function QuizQuestionForm({ initial = null, onSave, onCancel }) {
+  const [question, setQuestion] = useState(initial?.question || '');
+  const [options, setOptions] = useState(initial?.options?.length ? initial.options : ['', '', '', '']);
+  const [correctIndex, setCorrectIndex] = useState(
+    Math.max(0, initial?.options?.indexOf(initial.correctAnswer) ?? 0)
+  );
+  const [difficulty, setDifficulty] = useState(initial?.difficulty || DEFAULT_DIFFICULTY);
+  const { error, saving, save } = useSaveHandler(onSave);
+
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_, i) => i !== index));
+    setCorrectIndex(prev => (prev === index ? 0 : prev > index ? prev - 1 : prev));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { quiz, error: parseError } = parseQuizQuestion({
+      question,
+      options,
+      correctAnswer: options[correctIndex]?.trim(),
+      difficulty
+    });
+    save({ value: quiz, error: parseError });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 rounded-xl border-2 border-indigo-100 bg-white p-6 shadow-md">
+      <textarea
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        rows={2}
+        placeholder="Question"
+        className={inputClassName}
+      />
+      <div className="space-y-2">
+        {options.map((option, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={correctIndex === index}
+              onChange={() => setCorrectIndex(index)}
+              title="Correct answer"
+              className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+            />
+            <input
+              type="text"
+              value={option}
+              onChange={(e) => setOptions(prev => prev.map((o, i) => (i === index ? e.target.value : o)))}
+              placeholder={`Option ${index + 1}`}
+              className={inputClassName}
+            />
+            {options.length > MIN_QUIZ_OPTIONS && (
+              <button
+                type="button"
+                onClick={() => removeOption(index)}
+                className="text-sm text-gray-500 hover:text-red-600"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+        {options.length < MAX_QUIZ_OPTIONS && (
+          <button
+            type="button"
+            onClick={() => setOptions(prev => [...prev, ''])}
+            className="text-indigo-600 hover:text-indigo-800"
+          >
+            Add option
+          </button>
+        )}
+        <label className="flex items-center gap-2">
+          Difficulty
+          <select
+            value={difficulty}
+            onChange={(e) => setDifficulty(e.target.value)}
+            className="rounded-md border-0 py-1 pl-2 pr-8 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-indigo-600 sm:text-sm"
+          >
+            {QUIZ_DIFFICULTIES.map(level => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-xs text-gray-500">Select the correct answer with its radio button</span>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <FormButtons saving={saving} onCancel={onCancel} />
+    </form>
+  );
+}
+
+// Edit, delete and "flag as wrong" links for a flashcard or question. Flagging asks for an
+// optional note on what is wrong before reporting it.
+export function StudyItemActions({ flagged, onEdit, onDelete, onReport, className = '' }) {
+  const [reporting, setReporting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitReport = async (e) => {
+    e.preventDefault();
+    if (await run(() => onReport(reason))) {
+      setReporting(false);
+      setReason('');
+    }
+  };
+
+  return (
+    <div className={`text-xs ${className}`}>
+      <div className="flex flex-wrap items-center gap-3 text-gray-500">
+        <button type="button" onClick={onEdit} disabled={busy} className="hover:text-indigo-600">
+          Edit
+        </button>
+        <button
+          type="button"
+          onClick={() => window.confirm('Delete this for good?') && run(onDelete)}
+          disabled={busy}
+          className="hover:text-red-600"
+        >
+          Delete
+        </button>
+        {flagged ? (
+          <span className="text-amber-600">Flagged as wrong</span>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setReporting(!reporting)}
+            disabled={busy}
+            className="hover:text-amber-600"
+          >
+            Flag as wrong
+          </button>
+        )}
+      </div>
+      {reporting && (
+        <form onSubmit={submitReport} className="mt-2 flex gap-2">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="What is wrong? (optional)"
+            className={inputClassName}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="rounded-md bg-amber-500 px-3 py-1 text-xs font-medium text-white hover:bg-amber-600 disabled:opacity-50"
+          >
+            Report
+          </button>
+        </form>
+      )}
+      {error && <p className="mt-1 text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// Ask for more flashcards or quiz questions (`type`) with optional instructions such as
+// "hard questions only" or "focus on the second half". `onGenerate` resolves to the number
+// of items added, which can be zero when everything generated was already there.
+export function GenerateMoreForm({ type, onGenerate }) {
+  const [open, setOpen] = useState(false);
+  const [count, setCount] = useState(DEFAULT_MORE_COUNT);
+  const [instructions, setInstructions] = useState('');
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const itemName = type === 'flashcards' ? 'flashcards' : 'questions';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { request, error: parseError } = parseMoreRequest({ type, count, instructions });
+    if (parseError) {
+      setError(parseError);
+      return;
+    }
+    setGenerating(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const added = await onGenerate(request);
+      setStatus(added > 0
+        ? `Added ${added} new ${itemName}`
+        : `No new ${itemName} came up. Try different instructions.`);
+      setInstructions('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="text-sm">
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="font-medium text-indigo-600 hover:text-indigo-800"
+        >
+          Generate more {itemName}
+        </button>
+        {status && <span className="ml-3 text-gray-500">{status}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-xl border border-indigo-100 bg-indigo-50/40 p-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <span>Generate</span>
+        <input
+          type="number"
+          min={1}
+          max={MAX_MORE_COUNT}
+          value={count}
+          onChange={(e) => setCount(e.target.value)}
+          className="w-20 rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-indigo-600 sm:text-sm"
+        />
+        <span>more {itemName}</span>
+      </div>
+      <input
+        type="text"
+        value={instructions}
+        onChange={(e) => setInstructions(e.target.value)}
+        maxLength={MAX_INSTRUCTIONS_LENGTH}
+        placeholder='Instructions (optional), e.g. "hard questions only" or "focus on the second half"'
+        className={inputClassName}
+      />
+      {status && <p className="text-sm text-gray-600">{status}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={generating}
+          className="rounded-md bg-indigo-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-50"
+        >
+          {generating ? 'Generating...' : 'Generate'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setOpen(false)}
+          disabled={generating}
+          className="rounded-md border border-gray-200 px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </form>
+  );
+}
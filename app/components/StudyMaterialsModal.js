@@ -2,12 +2,123 @@
 
 import { motion, AnimatePresence } from 'framer-motion';
 import { useState } from 'react';
+import TimestampLink from './TimestampLink';
+import PageReference from './PageReference';
+import { FlashcardForm, GenerateMoreForm, QuizQuestionForm, StudyItemActions } from './StudyItemForms';
+import { useStudyItemActions } from '../hooks/useStudyItemActions';
+import { formatLanguages } from '../utils/languages';
+import { formatGenerationOptions } from '../utils/generationOptions';
+import { toFlashcard, toQuizQuestion } from '../utils/studyItems';
+
+// Where each kind of item lives in the materials and how its stored row is shown
+const ITEM_LISTS = {
+  flashcard: { key: 'flashcards', toItem: toFlashcard },
+  quiz: { key: 'quiz', toItem: toQuizQuestion }
+};
+
+function itemsOf(materials) {
+  return {
+    materials,
+    flashcards: materials?.flashcards,
+    quiz: materials?.quiz,
+    runs: materials?.generation_runs || []
+  };
+}
 
 export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
   const [activeTab, setActiveTab] = useState('summary');
+  const actions = useStudyItemActions();
+  // Edits and generated additions are kept here; new materials from the parent replace them
+  const [items, setItems] = useState(() => itemsOf(materials));
+  // { type, id } of the item being edited; id is null while adding one
+  const [editing, setEditing] = useState(null);
+
+  if (items.materials !== materials) {
+    setItems(itemsOf(materials));
+    setEditing(null);
+  }
 
   if (!isOpen || !materials) return null;
 
+  // Languages and options the materials were generated with
+  const details = [formatLanguages(materials), formatGenerationOptions(materials.generation_options)]
+    .filter(Boolean)
+    .join(' · ');
+
+  // Items can only be changed once stored, which gives them ids
+  const editable = Boolean(materials.id);
+  const isEditing = (type, item) => editing?.type === type && editing.id === (item?.id ?? null);
+
+  const replaceItem = (type, id, row) => {
+    const { key, toItem } = ITEM_LISTS[type];
+    setItems(prev => ({
+      ...prev,
+      [key]: id === null
+        ? [...prev[key], toItem(row)]
+        : prev[key].map(item => (item.id === id ? toItem(row) : item))
+    }));
+  };
+
+  const saveItem = async (type, item, fields) => {
+    const row = item
+      ? await actions.updateItem(type, item.id, fields)
+      : await actions.createItem(type, materials.id, fields);
+    replaceItem(type, item?.id ?? null, row);
+    setEditing(null);
+  };
+
+  const deleteItem = async (type, item) => {
+    await actions.deleteItem(type, item.id);
+    const { key } = ITEM_LISTS[type];
+    setItems(prev => ({ ...prev, [key]: prev[key].filter(other => other.id !== item.id) }));
+  };
+
+  const reportItem = async (type, item, reason) => {
+    replaceItem(type, item.id, await actions.reportItem(type, item.id, reason));
+  };
+
+  const generateMore = async (request) => {
+    const { run, flashcards, quiz } = await actions.generateMore(materials.id, request);
+    setItems(prev => ({
+      ...prev,
+      flashcards: [...prev.flashcards, ...flashcards.map(toFlashcard)],
+      quiz: [...prev.quiz, ...quiz.map(toQuizQuestion)],
+      runs: [...prev.runs, run]
+    }));
+    return flashcards.length + quiz.length;
+  };
+
+  // Items added by "generate more" name the request they came from
+  const runLabel = (item) => {
+    const run = items.runs.find(other => other.id === item.generationRunId);
+    if (run?.kind !== 'more') return null;
+    return (
+      <p className="mt-1 text-xs text-indigo-500">
+        Generated later{run.instructions ? `: ${run.instructions}` : ''}
+      </p>
+    );
+  };
+
+  const itemActions = (type, item) => editable && (
+    <StudyItemActions
+      flagged={item.flagged}
+      onEdit={() => setEditing({ type, id: item.id })}
+      onDelete={() => deleteItem(type, item)}
+      onReport={(reason) => reportItem(type, item, reason)}
+      className="mt-2"
+    />
+  );
+
+  const addButton = (type, label) => editable && !isEditing(type, null) && (
+    <button
+      type="button"
+      onClick={() => setEditing({ type, id: null })}
+      className="w-full rounded-xl border-2 border-dashed border-indigo-200 p-4 text-sm font-medium text-indigo-600 hover:bg-indigo-50"
+    >
+      {label}
+    </button>
+  );
+
   return (
     <AnimatePresence>
       <motion.div
@@ -55,7 +166,7 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
             >
               Flashcards
               <span className="flex h-6 w-6 items-center justify-center rounded-full bg-white/20 text-sm">
-                {materials.flashcards.length}
+                {items.flashcards.length}
               </span>
             </button>
             <button
@@ -68,9 +179,12 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
             >
               Quiz
               <span className="flex h-6 w-6 items-center justify-center rounded-full bg-white/20 text-sm">
-                {materials.quiz.length}
+                {items.quiz.length}
               </span>
             </button>
+            {details && (
+              <span className="ml-auto mr-12 text-sm text-gray-500">{details}</span>
+            )}
           </div>
 
           {/* Content Area */}
@@ -90,7 +204,12 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
                     className="flex gap-3 bg-white/50 p-4 rounded-xl backdrop-blur-sm border border-white/20 shadow-sm"
                   >
                     <span className="text-indigo-500 font-bold">•</span>
-                    <span className="text-gray-700">{point}</span>
+                    <span className="flex-1 text-gray-700">{point}</span>
+                    <TimestampLink
+                      url={materials.url}
+                      timeRange={materials.summary_time_ranges?.[index]}
+                      className="self-start flex-shrink-0"
+                    />
                   </motion.div>
                 ))}
               </motion.div>
@@ -102,9 +221,34 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
                 animate={{ opacity: 1 }}
                 className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3"
               >
-                {materials.flashcards.map((card, index) => (
-                  <FlashCard key={index} card={card} index={index} />
+                {items.flashcards.map((card, index) => (
+                  isEditing('flashcard', card) ? (
+                    <FlashcardForm
+                      key={card.id ?? index}
+                      initial={card}
+                      onSave={(fields) => saveItem('flashcard', card, fields)}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : (
+                    <div key={card.id ?? index}>
+                      <FlashCard card={card} index={index} url={materials.url} />
+                      {runLabel(card)}
+                      {itemActions('flashcard', card)}
+                    </div>
+                  )
                 ))}
+                {isEditing('flashcard', null) && (
+                  <FlashcardForm
+                    onSave={(fields) => saveItem('flashcard', null, fields)}
+                    onCancel={() => setEditing(null)}
+                  />
+                )}
+                {addButton('flashcard', 'Add flashcard')}
+                {editable && (
+                  <div className="sm:col-span-2 lg:col-span-3">
+                    <GenerateMoreForm type="flashcards" onGenerate={generateMore} />
+                  </div>
+                )}
               </motion.div>
             )}
 
@@ -114,9 +258,30 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
                 animate={{ opacity: 1 }}
                 className="space-y-6"
               >
-                {materials.quiz.map((question, index) => (
-                  <QuizQuestion key={index} question={question} index={index} />
+                {items.quiz.map((question, index) => (
+                  isEditing('quiz', question) ? (
+                    <QuizQuestionForm
+                      key={question.id ?? index}
+                      initial={question}
+                      onSave={(fields) => saveItem('quiz', question, fields)}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : (
+                    <div key={question.id ?? index}>
+                      <QuizQuestion question={question} index={index} url={materials.url} />
+                      {runLabel(question)}
+                      {itemActions('quiz', question)}
+                    </div>
+                  )
                 ))}
+                {isEditing('quiz', null) && (
+                  <QuizQuestionForm
+                    onSave={(fields) => saveItem('quiz', null, fields)}
+                    onCancel={() => setEditing(null)}
+                  />
+                )}
+                {addButton('quiz', 'Add question')}
+                {editable && <GenerateMoreForm type="quiz" onGenerate={generateMore} />}
               </motion.div>
             )}
           </div>
@@ -144,7 +309,7 @@ export default function StudyMaterialsModal({ isOpen, onClose, materials }) {
   );
 }
 
-function FlashCard({ card, index }) {
+function FlashCard({ card, index, url }) {
   const [isFlipped, setIsFlipped] = useState(false);
 
   return (
@@ -188,11 +353,13 @@ function FlashCard({ card, index }) {
           </div>
         </motion.div>
       </div>
+      <TimestampLink url={url} timeRange={card.timeRange} className="absolute bottom-2 right-2 z-10" />
+      <PageReference url={url} pageRange={card.pageRange} className="absolute bottom-2 right-2 z-10" />
     </motion.div>
   );
 }
 
-function QuizQuestion({ question, index }) {
+function QuizQuestion({ question, index, url }) {
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [showAnswer, setShowAnswer] = useState(false);
 
@@ -212,6 +379,8 @@ function QuizQuestion({ question, index }) {
     >
       <div className="mb-4 flex items-center justify-between">
         <h3 className="text-lg font-semibold text-gray-800">{question.question}</h3>
+        <TimestampLink url={url} timeRange={question.timeRange} className="ml-auto mr-2 flex-shrink-0" />
+        <PageReference url={url} pageRange={question.pageRange} className="ml-auto mr-2 flex-shrink-0" />
         <span className={`rounded-full px-4 py-1 text-sm font-medium shadow-sm ${difficultyColors[question.difficulty] || 'bg-gradient-to-r from-gray-500 to-gray-600 text-white'}`}>
           {question.difficulty || 'normal'}
         </span>
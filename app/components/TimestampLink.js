@@ -0,0 +1,24 @@
+'use client';
+
+import { getTimestampUrl } from '../utils/youtube';
+import { formatTimeRange } from '../utils/timestamps';
+
+// "▶ 1:23–2:05" link opening the source video at the start of an item's time range
+export default function TimestampLink({ url, timeRange, className = '' }) {
+  if (!url || !timeRange) return null;
+  const href = getTimestampUrl(url, timeRange.start);
+  if (!href) return null;
+
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => e.stopPropagation()}
+      title="Watch this part of the video"
+      className={`inline-flex items-center gap-1 rounded-full bg-red-50 px-2 py-0.5 text-xs font-medium text-red-700 hover:bg-red-100 ${className}`}
+    >
+      ▶ {formatTimeRange(timeRange)}
+    </a>
+  );
+}
@@ -0,0 +1,311 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import { useAuth } from '../../hooks/useAuth';
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+export default function ExamPage() {
+  const [exam, setExam] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [remainingMs, setRemainingMs] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const submittedRef = useRef(false);
+  const router = useRouter();
+  const params = useParams();
+  const { user, loading: authLoading, authFetch } = useAuth();
+  const examId = params?.id;
+  const storageKey = `exam-answers-${examId}`;
+
+  const fetchExam = useCallback(async () => {
+    const response = await authFetch(`/api/exams/${examId}`);
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'Exam not found' : 'Failed to fetch exam');
+    }
+    const data = await response.json();
+    setExam(data.exam);
+    return data.exam;
+  }, [authFetch, examId]);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!user) {
+      router.push('/');
+      return;
+    }
+
+    async function loadExam() {
+      try {
+        setLoading(true);
+        const loaded = await fetchExam();
+        // Answers survive a reload while the exam is running
+        if (loaded.status === 'running') {
+          const saved = window.localStorage.getItem(storageKey);
+          if (saved) setAnswers(JSON.parse(saved));
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadExam();
+  }, [user, authLoading, router, fetchExam, storageKey]);
+
+  const submitExam = useCallback(async () => {
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+    setSubmitting(true);
+    try {
+      const response = await authFetch(`/api/exams/${examId}/submit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          answers,
+          timeTakenMs: Date.now() - new Date(exam.started_at).getTime()
+        })
+      });
+      // 409 means it was already submitted (e.g. from another tab): just show the report
+      if (!response.ok && response.status !== 409) {
+        throw new Error('Failed to submit exam');
+      }
+      window.localStorage.removeItem(storageKey);
+      await fetchExam();
+    } catch (err) {
+      submittedRef.current = false;
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [authFetch, examId, answers, exam, fetchExam, storageKey]);
+
+  // Countdown, auto-submitting when time runs out
+  useEffect(() => {
+    if (exam?.status !== 'running') return;
+    const deadline = new Date(exam.deadline).getTime();
+    const tick = () => {
+      const remaining = deadline - Date.now();
+      setRemainingMs(remaining);
+      if (remaining <= 0) submitExam();
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [exam, submitExam]);
+
+  const selectAnswer = (quizId, option) => {
+    setAnswers(prev => {
+      const next = { ...prev, [quizId]: option };
+      window.localStorage.setItem(storageKey, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const clearAnswer = (quizId) => {
+    setAnswers(prev => {
+      const { [quizId]: _removed, ...next } = prev;
+      window.localStorage.setItem(storageKey, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const confirmSubmit = () => {
+    const unanswered = exam.questions.length - Object.keys(answers).length;
+    const message = unanswered > 0
+      ? `You have ${unanswered} unanswered question${unanswered === 1 ? '' : 's'}. Submit anyway?`
+      : 'Submit your exam?';
+    if (window.confirm(message)) submitExam();
+  };
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="animate-pulse space-y-4">
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error && !exam) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h2 className="text-red-600 text-xl font-semibold">Error: {error}</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (exam.status === 'completed') {
+    const { report, settings } = exam;
+    const mistakes = report.questions.filter(q => q.status !== 'correct');
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <h1 className="text-2xl font-bold text-gray-900">Exam Report</h1>
+          {settings.late && (
+            <p className="mt-2 text-sm text-yellow-700">Submitted after the time limit, so the answers were not counted.</p>
+          )}
+
+          <div className="mt-6 grid grid-cols-2 gap-4 sm:grid-cols-4">
+            <div className="rounded-lg bg-indigo-50 p-4">
+              <h3 className="text-sm font-medium text-indigo-600">Score</h3>
+              <p className="mt-2 text-2xl font-semibold text-indigo-900">{report.score} / {report.maxScore}</p>
+            </div>
+            <div className="rounded-lg bg-green-50 p-4">
+              <h3 className="text-sm font-medium text-green-600">Correct</h3>
+              <p className="mt-2 text-2xl font-semibold text-green-900">{report.correct}</p>
+            </div>
+            <div className="rounded-lg bg-red-50 p-4">
+              <h3 className="text-sm font-medium text-red-600">Wrong</h3>
+              <p className="mt-2 text-2xl font-semibold text-red-900">{report.wrong}</p>
+            </div>
+            <div className="rounded-lg bg-gray-100 p-4">
+              <h3 className="text-sm font-medium text-gray-600">Unanswered</h3>
+              <p className="mt-2 text-2xl font-semibold text-gray-900">{report.unanswered}</p>
+            </div>
+          </div>
+          <p className="mt-3 text-sm text-gray-500">
+            +{settings.marksPerCorrect} per correct answer
+            {settings.negativeMarks > 0 ? `, −${settings.negativeMarks} per wrong answer` : ', no negative marking'}
+          </p>
+
+          <h2 className="mt-8 text-lg font-semibold text-gray-900">
+            {mistakes.length > 0 ? 'Questions to review' : 'Perfect score — nothing to review 🎉'}
+          </h2>
+          <div className="mt-4 space-y-4">
+            {mistakes.map((q, index) => (
+              <div key={q.id} className="rounded-lg bg-white p-5 shadow-sm">
+                <div className="flex items-start justify-between gap-4">
+                  <h3 className="font-medium text-gray-900">{index + 1}. {q.question}</h3>
+                  <span className={`flex-shrink-0 rounded-full px-2.5 py-0.5 text-xs font-medium ${
+                    q.status === 'wrong' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {q.status === 'wrong' ? `${q.marks}` : 'unanswered'}
+                  </span>
+                </div>
+                {q.selected && (
+                  <p className="mt-3 text-sm text-red-700">Your answer: {q.selected}</p>
+                )}
+                <p className="mt-1 text-sm text-green-700">Correct answer: {q.correct_answer}</p>
+                {q.source_url && (
+                  <p className="mt-2 truncate text-xs text-gray-400">{q.source_url}</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-8 flex gap-3">
+            <button
+              onClick={() => router.push('/exam')}
+              className="rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500"
+            >
+              New Exam
+            </button>
+            <button
+              onClick={() => router.push('/quizzes')}
+              className="rounded-md border border-gray-300 px-4 py-2 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+            >
+              Back to Quizzes
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const answeredCount = Object.keys(answers).length;
+  const lowTime = remainingMs !== null && remainingMs < 60 * 1000;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="sticky top-0 z-10 -mx-4 mb-6 flex items-center justify-between bg-gray-50/95 px-4 py-3 backdrop-blur sm:-mx-6 sm:px-6 lg:-mx-8 lg:px-8">
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">Exam</h1>
+            <p className="text-sm text-gray-500">{answeredCount} of {exam.questions.length} answered</p>
+          </div>
+          <div className={`rounded-md px-4 py-2 font-mono text-lg font-semibold ${
+            lowTime ? 'bg-red-100 text-red-700' : 'bg-white text-gray-900 shadow-sm'
+          }`}>
+            {remainingMs === null ? '--:--' : formatCountdown(remainingMs)}
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 rounded-lg bg-red-50 p-4 text-sm text-red-600">{error}</div>
+        )}
+
+        <div className="space-y-6">
+          {exam.questions.map((quiz, index) => (
+            <div key={quiz.id} className="bg-white shadow rounded-lg p-6">
+              <div className="flex items-start justify-between gap-4">
+                <h3 className="text-lg font-medium text-gray-900">{index + 1}. {quiz.question}</h3>
+                {answers[quiz.id] && (
+                  <button
+                    onClick={() => clearAnswer(quiz.id)}
+                    className="flex-shrink-0 text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
+              <div className="mt-4 space-y-2">
+                {quiz.options.map((option, optionIndex) => (
+                  <label
+                    key={optionIndex}
+                    className={`flex items-center p-3 rounded-lg border ${
+                      answers[quiz.id] === option
+                        ? 'border-indigo-500 bg-indigo-50'
+                        : 'border-gray-200 hover:bg-gray-50'
+                    } cursor-pointer transition-colors`}
+                  >
+                    <input
+                      type="radio"
+                      name={`exam-${quiz.id}`}
+                      value={option}
+                      checked={answers[quiz.id] === option}
+                      onChange={() => selectAnswer(quiz.id, option)}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+                    />
+                    <span className="ml-3 text-gray-700">{option}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={confirmSubmit}
+          disabled={submitting}
+          className="mt-8 w-full rounded-md bg-indigo-600 px-4 py-3 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500 disabled:opacity-50"
+        >
+          {submitting ? 'Submitting...' : 'Submit Exam'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '../hooks/useAuth';
+import { QUIZ_DIFFICULTIES } from '../utils/difficulty';
+
+const inputClassName = 'block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6';
+
+export default function ExamSetupPage() {
+  const [sources, setSources] = useState([]);
+  const [selectedSources, setSelectedSources] = useState(new Set());
+  const [settings, setSettings] = useState({
+    questionCount: 20,
+    durationMinutes: 30,
+    difficulty: '',
+    marksPerCorrect: 1,
+    negativeMarks: 0
+  });
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+  const { user, loading: authLoading, authFetch } = useAuth();
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!user) {
+      router.push('/');
+      return;
+    }
+
+    async function fetchSources() {
+      try {
+        setLoading(true);
+        const response = await authFetch('/api/quizzes');
+        if (!response.ok) {
+          throw new Error('Failed to fetch quizzes');
+        }
+        const data = await response.json();
+
+        // One entry per study material, with how many questions it holds at each difficulty
+        const bySource = {};
+        for (const quiz of data.quizzes) {
+          const id = quiz.study_material_id;
+          if (!bySource[id]) {
+            bySource[id] = {
+              id,
+              name: quiz.study_materials?.title || quiz.study_materials?.url || 'Unknown Source',
+              difficulty_level: quiz.study_materials?.difficulty_level,
+              questionCount: 0,
+              difficultyCounts: {}
+            };
+          }
+          bySource[id].questionCount += 1;
+          bySource[id].difficultyCounts[quiz.difficulty] = (bySource[id].difficultyCounts[quiz.difficulty] || 0) + 1;
+        }
+        setSources(Object.values(bySource));
+
+        // ?sources=1,2 preselects sources, e.g. when coming from a quiz page
+        const preselected = new URLSearchParams(window.location.search).get('sources');
+        if (preselected) {
+          const ids = new Set(preselected.split(',').map(Number));
+          setSelectedSources(new Set(Object.keys(bySource).map(Number).filter(id => ids.has(id))));
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchSources();
+  }, [user, authLoading, router, authFetch]);
+
+  const toggleSource = (id) => {
+    setSelectedSources(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const updateSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  const availableQuestions = sources
+    .filter(s => selectedSources.has(s.id))
+    .reduce((sum, s) => sum + (settings.difficulty ? s.difficultyCounts[settings.difficulty] || 0 : s.questionCount), 0);
+
+  const startExam = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setError(null);
+    try {
+      const response = await authFetch('/api/exams', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...settings,
+          difficulty: settings.difficulty || null,
+          sourceIds: Array.from(selectedSources)
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start exam');
+      }
+      router.push(`/exam/${data.examId}`);
+    } catch (err) {
+      setError(err.message);
+      setStarting(false);
+    }
+  };
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="animate-pulse space-y-4">
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">Exam Mode</h1>
+          <p className="mt-2 text-gray-600">
+            A timed test drawn from your sources. Answers are revealed only after you submit.
+          </p>
+        </div>
+
+        <form onSubmit={startExam} className="space-y-6 rounded-lg bg-white p-6 shadow-sm">
+          <div>
+            <h2 className="text-sm font-semibold text-gray-900">Sources</h2>
+            {sources.length === 0 ? (
+              <p className="mt-2 text-sm text-gray-500">Process some content first to generate questions.</p>
+            ) : (
+              <div className="mt-2 max-h-64 space-y-2 overflow-y-auto">
+                {sources.map(source => (
+                  <label key={source.id} className="flex items-center gap-3 rounded-md border border-gray-200 p-3 text-sm hover:bg-gray-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedSources.has(source.id)}
+                      onChange={() => toggleSource(source.id)}
+                      className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+                    />
+                    <span className="min-w-0 flex-1 truncate text-gray-700">{source.name}</span>
+                    <span className="flex-shrink-0 text-xs text-gray-500">
+                      {source.questionCount} questions{source.difficulty_level ? ` · ${source.difficulty_level}` : ''}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <label className="block text-sm font-medium text-gray-700">
+              Number of questions
+              <input
+                type="number"
+                min="1"
+                max="200"
+                value={settings.questionCount}
+                onChange={(e) => updateSetting('questionCount', Number(e.target.value))}
+                className={`mt-1 ${inputClassName}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Time limit (minutes)
+              <input
+                type="number"
+                min="1"
+                max="600"
+                value={settings.durationMinutes}
+                onChange={(e) => updateSetting('durationMinutes', Number(e.target.value))}
+                className={`mt-1 ${inputClassName}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Difficulty
+              <select
+                value={settings.difficulty}
+                onChange={(e) => updateSetting('difficulty', e.target.value)}
+                className={`mt-1 ${inputClassName}`}
+              >
+                <option value="">Any</option>
+                {QUIZ_DIFFICULTIES.map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Marks per correct answer
+              <input
+                type="number"
+                min="0.25"
+                step="0.25"
+                value={settings.marksPerCorrect}
+                onChange={(e) => updateSetting('marksPerCorrect', Number(e.target.value))}
+                className={`mt-1 ${inputClassName}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700 sm:col-span-2">
+              Negative marking per wrong answer
+              <select
+                value={settings.negativeMarks}
+                onChange={(e) => updateSetting('negativeMarks', Number(e.target.value))}
+                className={`mt-1 ${inputClassName}`}
+              >
+                <option value={0}>None</option>
+                <option value={0.25}>0.25 (¼ mark)</option>
+                <option value={0.33}>0.33 (⅓ mark)</option>
+                <option value={0.5}>0.5 (½ mark)</option>
+                <option value={1}>1 (full mark)</option>
+              </select>
+            </label>
+          </div>
+
+          <p className="text-sm text-gray-500">
+            {availableQuestions} question{availableQuestions === 1 ? '' : 's'} available
+            {availableQuestions > 0 && availableQuestions < settings.questionCount && ' — the exam will use all of them'}
+          </p>
+
+          {error && (
+            <div className="rounded-lg bg-red-50 p-4 text-sm text-red-600">{error}</div>
+          )}
+
+          <button
+            type="submit"
+            disabled={starting || availableQuestions === 0}
+            className="rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {starting ? 'Starting...' : 'Start Exam'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
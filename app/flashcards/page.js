@@ -0,0 +1,223 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { useAuth } from '../hooks/useAuth';
+import { GRADES, scheduleReview } from '../utils/spacedRepetition';
+
+const gradeStyles = {
+  again: 'bg-red-600 hover:bg-red-500',
+  hard: 'bg-orange-500 hover:bg-orange-400',
+  good: 'bg-green-600 hover:bg-green-500',
+  easy: 'bg-indigo-600 hover:bg-indigo-500'
+};
+
+// Short label for when a card would come back, e.g. "10m" or "6d"
+function formatNextReview(card, grade) {
+  const { due_at } = scheduleReview(card, grade);
+  const minutes = Math.round((new Date(due_at).getTime() - Date.now()) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const days = Math.round(minutes / (60 * 24));
+  return days >= 30 ? `${Math.round(days / 30)}mo` : `${days}d`;
+}
+
+export default function FlashcardsPage() {
+  const [queue, setQueue] = useState([]);
+  const [dueCount, setDueCount] = useState(0);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+  const { user, loading: authLoading, authFetch } = useAuth();
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!user) {
+      router.push('/');
+      return;
+    }
+
+    async function fetchDueCards() {
+      try {
+        setLoading(true);
+        const response = await authFetch('/api/flashcards/review');
+        if (!response.ok) {
+          throw new Error('Failed to fetch flashcards');
+        }
+        const data = await response.json();
+        setQueue(data.cards);
+        setDueCount(data.dueCount);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchDueCards();
+  }, [user, authLoading, router, authFetch]);
+
+  const currentCard = queue[0];
+
+  const gradeCard = useCallback(async (grade) => {
+    if (!currentCard || submitting) return;
+    setSubmitting(true);
+    try {
+      const response = await authFetch(`/api/flashcards/${currentCard.id}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ grade })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to save review');
+      }
+      const { card } = await response.json();
+
+      setQueue(prev => {
+        const [reviewed, ...rest] = prev;
+        // Forgotten cards come back at the end of this session
+        return grade === 'again' ? [...rest, { ...reviewed, ...card }] : rest;
+      });
+      if (grade !== 'again') {
+        setReviewedCount(count => count + 1);
+      }
+      setRevealed(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  }, [currentCard, submitting, authFetch]);
+
+  // Space reveals the answer, 1-4 grade it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!currentCard) return;
+      if (e.code === 'Space' && !revealed) {
+        e.preventDefault();
+        setRevealed(true);
+      } else if (revealed && ['1', '2', '3', '4'].includes(e.key)) {
+        gradeCard(GRADES[Number(e.key) - 1]);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentCard, revealed, gradeCard]);
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="animate-pulse space-y-4">
+            <div className="h-4 bg-gray-200 rounded w-1/2 mx-auto"></div>
+            <div className="h-64 bg-gray-200 rounded-xl"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h2 className="text-red-600 text-xl font-semibold">Error: {error}</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Flashcard Review</h1>
+          <p className="mt-2 text-gray-600">
+            {dueCount} card{dueCount === 1 ? '' : 's'} due · {reviewedCount} reviewed this session
+          </p>
+        </div>
+
+        {!currentCard ? (
+          <div className="text-center py-12 bg-white rounded-lg shadow-sm">
+            <h3 className="text-lg font-medium text-gray-900">
+              {reviewedCount > 0 ? 'Session complete 🎉' : 'No cards due'}
+            </h3>
+            <p className="mt-2 text-gray-600">
+              {reviewedCount > 0
+                ? `You reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}. Come back when more are due.`
+                : 'Process some content to create flashcards, or come back when reviews are due.'}
+            </p>
+            <button
+              onClick={() => router.push('/')}
+              className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Back to Dashboard
+            </button>
+          </div>
+        ) : (
+          <>
+            <motion.div
+              key={`${currentCard.id}-${revealed}`}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="rounded-xl bg-white p-8 shadow-md border border-indigo-100 min-h-64"
+            >
+              <p className="text-xs font-medium uppercase tracking-wide text-indigo-500">Question</p>
+              <h2 className="mt-2 text-xl font-semibold text-gray-900">{currentCard.question}</h2>
+
+              {revealed && (
+                <div className="mt-6 border-t border-gray-100 pt-6">
+                  <p className="text-xs font-medium uppercase tracking-wide text-green-600">Answer</p>
+                  <p className="mt-2 text-lg text-gray-800">{currentCard.answer}</p>
+                </div>
+              )}
+
+              {currentCard.study_materials?.url && (
+                <p className="mt-6 truncate text-xs text-gray-400">
+                  {currentCard.study_materials.title || currentCard.study_materials.url}
+                </p>
+              )}
+            </motion.div>
+
+            <div className="mt-6">
+              {!revealed ? (
+                <button
+                  onClick={() => setRevealed(true)}
+                  className="w-full rounded-md bg-indigo-600 px-4 py-3 text-sm font-semibold text-white shadow-sm hover:bg-indigo-500"
+                >
+                  Show Answer <span className="opacity-70">(Space)</span>
+                </button>
+              ) : (
+                <div className="grid grid-cols-4 gap-3">
+                  {GRADES.map((grade, index) => (
+                    <button
+                      key={grade}
+                      onClick={() => gradeCard(grade)}
+                      disabled={submitting}
+                      className={`rounded-md px-3 py-3 text-sm font-semibold text-white shadow-sm disabled:opacity-50 ${gradeStyles[grade]}`}
+                    >
+                      <span className="block capitalize">{grade}</span>
+                      <span className="block text-xs opacity-80">
+                        {formatNextReview(currentCard, grade)} · {index + 1}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <p className="mt-4 text-center text-sm text-gray-500">
+              {queue.length} card{queue.length === 1 ? '' : 's'} left in this session
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
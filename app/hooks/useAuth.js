@@ -1,6 +1,6 @@
 'use client';
 
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import { auth } from '../lib/firebase';
 import {
   signInWithPopup,
@@ -44,6 +44,22 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Fresh Firebase ID token for the signed-in user (refreshed by the SDK when expired)
+  const getIdToken = useCallback(async () => {
+    if (!auth.currentUser) return null;
+    return auth.currentUser.getIdToken();
+  }, []);
+
+  // fetch() that sends the ID token so API routes can verify who is calling
+  const authFetch = useCallback(async (input, init = {}) => {
+    const token = await getIdToken();
+    const headers = new Headers(init.headers);
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    return fetch(input, { ...init, headers });
+  }, [getIdToken]);
+
   const logout = async () => {
     setUser(null);
     await signOut(auth);
@@ -54,6 +70,8 @@ export function AuthProvider({ children }) {
     loading,
     signInWithGoogle,
     logout,
+    getIdToken,
+    authFetch,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,41 @@
+'use client';
+
+import { useCallback, useMemo } from 'react';
+import { useAuth } from './useAuth';
+
+const ITEM_PATHS = {
+  flashcard: '/api/flashcards',
+  quiz: '/api/quizzes'
+};
+
+// Add, edit, delete and flag flashcards ('flashcard') and quiz questions ('quiz'), or generate
+// more of them for a source. Each action resolves to the stored row (generateMore to the run
+// and the rows it added) and throws with the server's message on failure.
+export function useStudyItemActions() {
+  const { authFetch } = useAuth();
+
+  const send = useCallback(async (path, method, body) => {
+    const response = await authFetch(path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || 'Request failed');
+    }
+    return data;
+  }, [authFetch]);
+
+  return useMemo(() => ({
+    createItem: async (type, studyMaterialId, fields) =>
+      (await send(ITEM_PATHS[type], 'POST', { ...fields, studyMaterialId }))[type],
+    updateItem: async (type, id, fields) =>
+      (await send(`${ITEM_PATHS[type]}/${id}`, 'PATCH', fields))[type],
+    deleteItem: (type, id) => send(`${ITEM_PATHS[type]}/${id}`, 'DELETE'),
+    reportItem: async (type, id, reason) =>
+      (await send(`${ITEM_PATHS[type]}/${id}/report`, 'POST', { reason }))[type],
+    generateMore: (studyMaterialId, request) =>
+      send(`/api/study-materials/${studyMaterialId}/generate`, 'POST', request)
+  }), [send]);
+}
@@ -0,0 +1,46 @@
+import { timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+import { adminAuth } from '@/app/lib/firebaseAdmin';
+
+// Verify the Firebase ID token in "Authorization: Bearer <token>" and return its uid, or null
+export async function getUserId(request) {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const idToken = authHeader.slice('Bearer '.length).trim();
+  if (!idToken) {
+    return null;
+  }
+
+  try {
+    const decodedToken = await adminAuth.verifyIdToken(idToken);
+    return decodedToken.uid;
+  } catch (error) {
+    console.error('Error verifying ID token:', error.code || error.message);
+    return null;
+  }
+}
+
+// Header carrying INTERNAL_API_SECRET on requests this app sends itself to continue background
+// work in a new request
+export const INTERNAL_SECRET_HEADER = 'x-internal-secret';
+
+// Whether a request was sent by this app itself (see INTERNAL_SECRET_HEADER)
+export function isInternalRequest(request) {
+  const secret = process.env.INTERNAL_API_SECRET;
+  const given = request.headers.get(INTERNAL_SECRET_HEADER);
+  if (!secret || !given) return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export function unauthorizedResponse() {
+  return NextResponse.json(
+    { error: 'Authentication required' },
+    { status: 401 }
+  );
+}
@@ -0,0 +1,173 @@
+// Split source text into model-sized chunks along sentence, paragraph, caption or page boundaries
+
+// Rough averages, close enough to size chunks without a tokenizer: text in alphabetic scripts
+// runs about 4 characters per token, while Chinese, Japanese, Korean and Thai characters are
+// about a token each
+const CHARS_PER_TOKEN = 4;
+const DENSE_SCRIPT_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Each chunk (after the first) carries the end of the previous one as context
+const OVERLAP_RATIO = 0.08;
+const MAX_OVERLAP_TOKENS = 200;
+
+// Sentence ends: "." "!" "?" before a space, or a full-width "。" "！" "？" (spaced or not)
+const SENTENCE_BREAK = /((?<=[.!?])\s+(?=\S)|(?<=[。！？｡．])\s*(?=\S))/;
+
+// "[12:34]", "(1:02:03)" or "12:34 -" at the start of a caption line
+const TIMESTAMP_LINE = /^\s*[[(]?\d{1,2}:\d{2}(?::\d{2})?[\])]?/;
+
+// "[Page 3]" or "[Slide 3]" in front of each page of an extracted document
+const PAGE_LINE = /^\[(?:Page|Slide) \d+\]/;
+
+function charTokens(char) {
+  return DENSE_SCRIPT_CHAR.test(char) ? 1 : 1 / CHARS_PER_TOKEN;
+}
+
+// Unrounded estimate, for adding up the parts of a chunk
+function countTokens(text) {
+  let tokens = 0;
+  for (const char of text) {
+    tokens += charTokens(char);
+  }
+  return tokens;
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(countTokens(text));
+}
+
+// Longest start (or, `fromEnd`, end) of `text` within `maxTokens`, cut between characters
+function cutToTokens(text, maxTokens, { fromEnd = false } = {}) {
+  const chars = Array.from(text);
+  if (fromEnd) chars.reverse();
+
+  let tokens = 0;
+  let length = 0;
+  while (length < chars.length && tokens + charTokens(chars[length]) <= maxTokens) {
+    tokens += charTokens(chars[length]);
+    length++;
+  }
+
+  const kept = chars.slice(0, Math.max(length, 1));
+  return (fromEnd ? kept.reverse() : kept).join('');
+}
+
+// Break text into the smallest pieces a chunk may start or end on. Each unit records the
+// separator that followed it in the source so chunks can be joined back faithfully.
+function splitUnits(content) {
+  const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+
+  // Timestamped transcripts and documents: one caption line or page per unit
+  const located = lines.filter(line => TIMESTAMP_LINE.test(line) || PAGE_LINE.test(line)).length;
+  if (lines.length > 1 && located >= lines.length * 0.8) {
+    return lines.map(text => ({ text, separator: '\n' }));
+  }
+
+  return content
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(paragraph => {
+      // Sentences at even indexes, the break after each at odd ones
+      const parts = paragraph.split(SENTENCE_BREAK);
+      const units = [];
+      for (let i = 0; i < parts.length; i += 2) {
+        units.push({ text: parts[i], separator: i + 1 < parts.length ? parts[i + 1] : '\n\n' });
+      }
+      return units;
+    });
+}
+
+// Auto-generated captions can run for thousands of characters without punctuation,
+// so a unit that cannot fit in a chunk is cut between words, and text without spaces
+// (Chinese, Japanese, Thai, or one very long word) between characters. Every piece of a
+// long page keeps its page marker.
+function splitOversizedUnit(unit, maxTokens) {
+  if (countTokens(unit.text) <= maxTokens) return [unit];
+
+  const pageMarker = unit.text.match(PAGE_LINE)?.[0];
+  const space = countTokens(' ');
+  const pieces = [];
+  let current = '';
+  let currentTokens = 0;
+  const startPiece = () => {
+    current = pageMarker || '';
+    currentTokens = countTokens(current);
+  };
+  const append = (word, wordTokens) => {
+    currentTokens += current ? space + wordTokens : wordTokens;
+    current = current ? `${current} ${word}` : word;
+  };
+
+  for (let word of unit.text.split(' ')) {
+    let wordTokens = countTokens(word);
+    if (current && currentTokens + space + wordTokens > maxTokens) {
+      pieces.push({ text: current, separator: ' ' });
+      startPiece();
+    }
+    // A word longer than a whole chunk is cut into pieces of its own
+    while (currentTokens + (current ? space : 0) + wordTokens > maxTokens && word.length > 1) {
+      const head = cutToTokens(word, Math.max(1, maxTokens - currentTokens - (current ? space : 0)));
+      append(head, countTokens(head));
+      pieces.push({ text: current, separator: '' });
+      startPiece();
+      word = word.slice(head.length);
+      wordTokens = countTokens(word);
+    }
+    if (word) append(word, wordTokens);
+  }
+  if (current) pieces.push({ text: current, separator: unit.separator });
+  return pieces;
+}
+
+function joinUnits(units) {
+  return units
+    .map((unit, index) => (index === units.length - 1 ? unit.text : unit.text + unit.separator))
+    .join('')
+    .trim();
+}
+
+// Trailing units of a chunk that fit in the overlap budget
+function takeOverlap(units, maxTokens) {
+  const overlap = [];
+  let size = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    size += countTokens(units[i].text) + 1;
+    if (size > maxTokens) break;
+    overlap.unshift(units[i]);
+  }
+
+  if (overlap.length > 0) return joinUnits(overlap);
+
+  // The last sentence alone is too long: keep its final words (or characters, without spaces)
+  const tail = cutToTokens(units[units.length - 1].text, maxTokens, { fromEnd: true });
+  return tail.slice(tail.indexOf(' ') + 1);
+}
+
+// Split content into chunks of at most `maxTokens` (estimated). Returns [{ content, overlap }]
+// where overlap is the end of the previous chunk, passed to the model as context only.
+export function splitContent(content, { maxTokens = 2500 } = {}) {
+  const overlapTokens = Math.min(MAX_OVERLAP_TOKENS, Math.floor(maxTokens * OVERLAP_RATIO));
+
+  const units = splitUnits(content).flatMap(unit => splitOversizedUnit(unit, maxTokens));
+  const groups = [];
+  let current = [];
+  let size = 0;
+
+  for (const unit of units) {
+    const unitSize = countTokens(unit.text + unit.separator);
+    if (current.length > 0 && size + unitSize > maxTokens) {
+      groups.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(unit);
+    size += unitSize;
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups.map((group, index) => ({
+    content: joinUnits(group),
+    overlap: index > 0 && overlapTokens > 0 ? takeOverlap(groups[index - 1], overlapTokens) : null
+  }));
+}
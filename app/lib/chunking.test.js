@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { estimateTokens, splitContent } from './chunking';
+
+const MAX_TOKENS = 3000;
+
+// A Chinese sentence of `length` characters ending in a full stop
+function chineseSentence(length) {
+  return '学'.repeat(length - 1) + '。';
+}
+
+describe('estimateTokens', () => {
+  it('counts Chinese characters as about a token each', () => {
+    expect(estimateTokens('学习中文')).toBe(4);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+  });
+});
+
+describe('splitContent', () => {
+  it('splits English text between sentences within the limit', () => {
+    const content = Array.from({ length: 2000 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = splitContent(content, { maxTokens: MAX_TOKENS });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk.content)).toBeLessThanOrEqual(MAX_TOKENS);
+      expect(chunk.content.endsWith('.')).toBe(true);
+    }
+  });
+
+  it('splits Chinese text on full-width sentence ends', () => {
+    const content = Array.from({ length: 1400 }, () => chineseSentence(30)).join('');
+    const chunks = splitContent(content, { maxTokens: MAX_TOKENS });
+
+    expect(chunks.length).toBeGreaterThanOrEqual(14);
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk.content)).toBeLessThanOrEqual(MAX_TOKENS);
+      expect(chunk.content.endsWith('。')).toBe(true);
+    }
+    // Nothing is lost or padded with spaces
+    expect(chunks.map(chunk => chunk.content).join('')).toBe(content);
+  });
+
+  it('cuts text without spaces or sentence ends by characters', () => {
+    const content = '学'.repeat(30000);
+    const chunks = splitContent(content, { maxTokens: MAX_TOKENS });
+
+    expect(chunks).toHaveLength(10);
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk.content)).toBeLessThanOrEqual(MAX_TOKENS);
+    }
+    expect(chunks.map(chunk => chunk.content).join('')).toBe(content);
+  });
+
+  it('cuts a single very long word', () => {
+    const word = 'a'.repeat(50000);
+    const chunks = splitContent(`Before it. ${word} After it.`, { maxTokens: 1000 });
+
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk.content)).toBeLessThanOrEqual(1000);
+    }
+    expect(chunks.map(chunk => chunk.content).join('').replace(/[^a]/g, '')).toBe(word);
+  });
+
+  it('keeps the end of the previous chunk as overlap', () => {
+    const content = Array.from({ length: 1400 }, () => chineseSentence(30)).join('');
+    const [, second] = splitContent(content, { maxTokens: MAX_TOKENS });
+
+    expect(second.overlap).toBeTruthy();
+    expect(estimateTokens(second.overlap)).toBeLessThanOrEqual(200);
+  });
+});
@@ -0,0 +1,260 @@
+import { supabase } from '@/app/lib/supabase';
+import { checkExistingContent, normalizeUrl } from '@/app/lib/studyMaterials';
+import { createJob, isJobStalled, resetFailedChunks, runJob } from '@/app/lib/jobs';
+import { INTERNAL_SECRET_HEADER } from '@/app/lib/auth';
+
+const COURSE_FIELDS = `
+  id,
+  title,
+  source_url,
+  created_at,
+  course_items (
+    id,
+    position,
+    url,
+    title,
+    job_id,
+    study_material_id,
+    study_materials (
+      deleted_at
+    ),
+    processing_jobs (
+      status,
+      error,
+      study_material_id,
+      completed_chunks,
+      total_chunks,
+      updated_at,
+      study_materials (
+        deleted_at
+      )
+    )
+  )
+`;
+
+// One source of a course with its processing status. Sources processed before the course
+// was created have no job and are 'skipped'; 'removed' means their material is gone since
+// and 'trashed' that it is in the trash.
+function toCourseItem({ processing_jobs: job, study_materials: material, ...item }) {
+  if ((material || job?.study_materials)?.deleted_at) {
+    return { ...item, study_material_id: null, status: 'trashed', error: null };
+  }
+  if (!job) {
+    return {
+      ...item,
+      status: item.study_material_id ? 'skipped' : 'removed',
+      error: null
+    };
+  }
+
+  return {
+    ...item,
+    status: job.status,
+    stalled: isJobStalled(job),
+    error: job.error,
+    study_material_id: item.study_material_id ?? job.study_material_id,
+    completed_chunks: job.completed_chunks,
+    total_chunks: job.total_chunks
+  };
+}
+
+function toCourse({ course_items: items, ...course }) {
+  return {
+    ...course,
+    items: (items || []).sort((a, b) => a.position - b.position).map(toCourseItem)
+  };
+}
+
+// Create a course from a batch of sources ({ url, title }), skipping sources this user has
+// already processed (in `outputLanguage` and with `generationOptions`, if given). Resolves to
+// { course, jobIds } with a queued job per new source.
+export async function createCourse({
+  userId,
+  title,
+  sourceUrl = null,
+  sources,
+  summaryLimit = null,
+  outputLanguage = null,
+  generationOptions = null
+}) {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .insert([{ user_id: userId, title, source_url: sourceUrl }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating course:', error);
+    throw error;
+  }
+
+  // The same video can appear under several links; keep its first appearance
+  const seen = new Set();
+  const items = [];
+  const jobIds = [];
+  for (const source of sources) {
+    const normalized = normalizeUrl(source.url);
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+
+    const item = {
+      course_id: course.id,
+      position: items.length,
+      url: normalized,
+      title: source.title ?? null,
+      job_id: null,
+      study_material_id: null
+    };
+    const existing = await checkExistingContent(
+      Array.from(new Set([normalized, source.url])),
+      userId,
+      { outputLanguage, generationOptions }
+    );
+    if (existing) {
+      item.study_material_id = existing.id;
+    } else {
+      const job = await createJob({
+        userId,
+        url: source.url,
+        sourceUrl: normalized,
+        title: source.title ?? null,
+        summaryLimit,
+        outputLanguage,
+        generationOptions
+      });
+      item.job_id = job.id;
+      jobIds.push(job.id);
+    }
+    items.push(item);
+  }
+
+  const { error: itemsError } = await supabase
+    .from('course_items')
+    .insert(items);
+
+  if (itemsError) {
+    console.error('Error storing course items:', itemsError);
+    throw itemsError;
+  }
+
+  console.log(`Created course ${course.id}: ${jobIds.length} queued, ${items.length - jobIds.length} skipped`);
+  return { course: await getCourse(course.id, userId), jobIds };
+}
+
+// Claim the first queued job of a course, in course order, by moving it to 'running' only while
+// it is still queued, so two runs of the same course never take the same source. Resolves
+// to the claimed job id, or null when nothing is left to run.
+async function claimNextCourseJob(courseId) {
+  const { data: items, error } = await supabase
+    .from('course_items')
+    .select('job_id, processing_jobs!inner (status)')
+    .eq('course_id', courseId)
+    .eq('processing_jobs.status', 'queued')
+    .order('position', { ascending: true });
+
+  if (error) {
+    console.error('Error finding queued course jobs:', error);
+    throw error;
+  }
+
+  for (const { job_id: jobId } of items || []) {
+    const { data: claimed, error: claimError } = await supabase
+      .from('processing_jobs')
+      .update({ status: 'running', error: null, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('status', 'queued')
+      .select('id');
+
+    if (claimError) {
+      console.error('Error claiming course job:', claimError);
+      throw claimError;
+    }
+    if (claimed.length > 0) return jobId;
+  }
+  return null;
+}
+
+// Ask this app to run the next source of a course in a new request (see the continue route).
+// The request is signed with INTERNAL_API_SECRET, never a user's token; without it, or when
+// the request fails, the course waits for the user to resume it.
+async function continueCourse(origin, courseId) {
+  if (!process.env.INTERNAL_API_SECRET) {
+    console.error(`Cannot continue course ${courseId}: INTERNAL_API_SECRET is not set`);
+    return;
+  }
+
+  try {
+    const response = await fetch(new URL(`/api/courses/${courseId}/continue`, origin), {
+      method: 'POST',
+      headers: { [INTERNAL_SECRET_HEADER]: process.env.INTERNAL_API_SECRET }
+    });
+    if (!response.ok) {
+      console.error(`Could not continue course ${courseId}:`, response.status);
+    }
+  } catch (error) {
+    console.error(`Error continuing course ${courseId}:`, error);
+  }
+}
+
+// Claim and run the next queued source of a course, then hand the course on to a new request,
+// so every source gets a whole request's time instead of all of them sharing one. A failed
+// source never stops the rest. Call from `after()` with the origin of the current request.
+export async function runNextCourseJob(origin, courseId) {
+  const jobId = await claimNextCourseJob(courseId);
+  if (!jobId) return;
+
+  try {
+    await runJob(jobId);
+  } catch (error) {
+    console.error(`Error running course job ${jobId}:`, error);
+  }
+
+  await continueCourse(origin, courseId);
+}
+
+// Jobs of a course that never started or were cut off mid-run (when a source outlives its
+// request), reset so runNextCourseJob can pick them up again
+export async function getResumableJobIds(course) {
+  const jobIds = [];
+  for (const item of course.items) {
+    if (item.status === 'queued') {
+      jobIds.push(item.job_id);
+    } else if (item.stalled) {
+      await resetFailedChunks(item.job_id);
+      jobIds.push(item.job_id);
+    }
+  }
+  return jobIds;
+}
+
+export async function getCourse(courseId, userId) {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .select(COURSE_FIELDS)
+    .eq('id', courseId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching course:', error);
+    throw error;
+  }
+
+  return course ? toCourse(course) : null;
+}
+
+// Every course of a user, newest first
+export async function listCourses(userId) {
+  const { data: courses, error } = await supabase
+    .from('courses')
+    .select(COURSE_FIELDS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error listing courses:', error);
+    throw error;
+  }
+
+  return (courses || []).map(toCourse);
+}
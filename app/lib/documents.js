@@ -0,0 +1,149 @@
+import { randomUUID } from 'crypto';
+import JSZip from 'jszip';
+import { extractText, getDocumentProxy, renderPageAsImage } from 'unpdf';
+import { supabaseAdmin } from '@/app/lib/supabaseAdmin';
+import { createUploadUrl } from '@/app/lib/uploads';
+import { formatPages } from '@/app/utils/pages';
+import { MAX_TITLE_LENGTH } from '@/app/utils/titles';
+
+export const DOCUMENT_EXTENSIONS = ['.pdf', '.pptx'];
+
+// Lecture decks with embedded images get big; their text never does
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024;
+const PREVIEW_WIDTH = 480;
+
+export function isDocumentName(name) {
+  return DOCUMENT_EXTENSIONS.some(extension => String(name || '').toLowerCase().endsWith(extension));
+}
+
+// Text of every PDF page, and the first page rendered as a PNG preview
+async function extractPdf(data) {
+  const pdf = await getDocumentProxy(new Uint8Array(data));
+  const { text } = await extractText(pdf, { mergePages: false });
+
+  let preview = null;
+  try {
+    preview = Buffer.from(await renderPageAsImage(pdf, 1, {
+      canvasImport: () => import('@napi-rs/canvas'),
+      width: PREVIEW_WIDTH
+    }));
+  } catch (error) {
+    // A missing preview should never block processing
+    console.error('Error rendering PDF preview:', error);
+  }
+
+  return { pages: text, preview: preview && { data: preview, contentType: 'image/png' } };
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Slide files in presentation order, which need not match their file numbers
+async function getSlidePaths(zip) {
+  const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+  const rels = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string');
+  const byNumber = Object.keys(zip.files)
+    .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+  if (!presentation || !rels) return byNumber;
+
+  const targets = new Map(
+    Array.from(rels.matchAll(/<Relationship\b[^>]*>/g), ([tag]) => [
+      tag.match(/\bId="([^"]+)"/)?.[1],
+      tag.match(/\bTarget="([^"]+)"/)?.[1]
+    ])
+  );
+  const ordered = Array.from(presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g), match => targets.get(match[1]))
+    .filter(Boolean)
+    .map(target => `ppt/${target.replace(/^\/?ppt\//, '')}`)
+    .filter(path => zip.file(path));
+
+  return ordered.length > 0 ? ordered : byNumber;
+}
+
+// Text of every slide, and the thumbnail PowerPoint saves with the file
+async function extractPptx(data) {
+  const zip = await JSZip.loadAsync(data);
+
+  const pages = [];
+  for (const path of await getSlidePaths(zip)) {
+    const xml = await zip.file(path).async('string');
+    const paragraphs = Array.from(xml.matchAll(/<a:p>([\s\S]*?)<\/a:p>/g), ([, paragraph]) =>
+      Array.from(paragraph.matchAll(/<a:t>([^<]*)<\/a:t>/g), ([, text]) => decodeXmlText(text)).join(''));
+    pages.push(paragraphs.filter(paragraph => paragraph.trim()).join('\n'));
+  }
+
+  const thumbnail = zip.file('docProps/thumbnail.jpeg');
+  const preview = thumbnail
+    ? { data: await thumbnail.async('nodebuffer'), contentType: 'image/jpeg' }
+    : null;
+
+  return { pages, preview };
+}
+
+// Upload a document preview image with the service role, as only the server may write to the
+// previews bucket; resolves to its public URL, or null if it could not be stored
+async function storePreview(userId, { data, contentType }) {
+  const path = `${userId}/${randomUUID()}.${contentType === 'image/png' ? 'png' : 'jpg'}`;
+  const { error } = await supabaseAdmin.storage
+    .from('previews')
+    .upload(path, data, { contentType });
+
+  if (error) {
+    console.error('Error storing document preview:', error);
+    return null;
+  }
+  return supabaseAdmin.storage.from('previews').getPublicUrl(path).data.publicUrl;
+}
+
+// Read an uploaded PDF or PowerPoint file ({ file, title }) into a source for the processing
+// pipeline: { url, title, content, thumbnail }, where content has a "[Page N]" or "[Slide N]"
+// line per page. Resolves to { source } or { error }.
+export async function parseDocument({ file, title }, { userId }) {
+  const name = typeof file?.name === 'string' ? file.name.trim() : '';
+  if (!name || typeof file.arrayBuffer !== 'function') {
+    return { error: 'No document uploaded' };
+  }
+  if (!isDocumentName(name)) {
+    return { error: `Upload a ${DOCUMENT_EXTENSIONS.join(' or ')} file` };
+  }
+  if (file.size > MAX_DOCUMENT_SIZE) {
+    return { error: `The document is larger than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB` };
+  }
+
+  const slides = name.toLowerCase().endsWith('.pptx');
+  let extracted;
+  try {
+    extracted = await (slides ? extractPptx : extractPdf)(await file.arrayBuffer());
+  } catch (error) {
+    console.error('Error reading document:', error);
+    return { error: `Could not read ${name}; is it a valid ${slides ? 'PowerPoint' : 'PDF'} file?` };
+  }
+
+  const content = formatPages(extracted.pages, slides ? 'Slide' : 'Page');
+  if (!content) {
+    return {
+      error: slides
+        ? 'The slides have no text to study'
+        : 'No text found in the PDF; scanned documents need OCR before they can be processed'
+    };
+  }
+
+  const documentTitle = (typeof title === 'string' && title.trim()) || name.replace(/\.(pdf|pptx)$/i, '');
+  return {
+    source: {
+      url: createUploadUrl(name),
+      title: documentTitle.slice(0, MAX_TITLE_LENGTH),
+      content,
+      thumbnail: extracted.preview ? await storePreview(userId, extracted.preview) : null
+    }
+  };
+}
@@ -0,0 +1,312 @@
+import { supabase } from '@/app/lib/supabase';
+import { QUIZ_DIFFICULTIES } from '@/app/utils/difficulty';
+
+export const EXAM_DEFAULTS = {
+  questionCount: 20,
+  durationMinutes: 30,
+  marksPerCorrect: 1,
+  negativeMarks: 0,
+  difficulty: null
+};
+
+// Submissions this long after the deadline still count; later ones are graded as unanswered
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+function shuffle(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Validate exam settings from the client, falling back to defaults
+export function parseExamSettings(input = {}) {
+  const settings = { ...EXAM_DEFAULTS };
+  const errors = [];
+
+  if (!Array.isArray(input.sourceIds) || input.sourceIds.length === 0) {
+    errors.push('Select at least one source');
+  } else {
+    settings.sourceIds = input.sourceIds;
+  }
+
+  if (input.questionCount !== undefined) {
+    const count = Number(input.questionCount);
+    if (!Number.isInteger(count) || count < 1 || count > 200) {
+      errors.push('Number of questions must be between 1 and 200');
+    } else {
+      settings.questionCount = count;
+    }
+  }
+
+  if (input.durationMinutes !== undefined) {
+    const minutes = Number(input.durationMinutes);
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > 600) {
+      errors.push('Duration must be between 1 and 600 minutes');
+    } else {
+      settings.durationMinutes = minutes;
+    }
+  }
+
+  if (input.marksPerCorrect !== undefined) {
+    const marks = Number(input.marksPerCorrect);
+    if (!Number.isFinite(marks) || marks <= 0) {
+      errors.push('Marks per correct answer must be positive');
+    } else {
+      settings.marksPerCorrect = marks;
+    }
+  }
+
+  if (input.negativeMarks !== undefined) {
+    const marks = Number(input.negativeMarks);
+    if (!Number.isFinite(marks) || marks < 0) {
+      errors.push('Negative marks cannot be below zero');
+    } else {
+      settings.negativeMarks = marks;
+    }
+  }
+
+  if (input.difficulty) {
+    if (!QUIZ_DIFFICULTIES.includes(input.difficulty)) {
+      errors.push(`Difficulty must be one of: ${QUIZ_DIFFICULTIES.join(', ')}`);
+    } else {
+      settings.difficulty = input.difficulty;
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Strip answers from questions handed to the client while an exam is running
+function toExamQuestion(quiz) {
+  return {
+    id: quiz.id,
+    question: quiz.question,
+    options: quiz.options,
+    difficulty: quiz.difficulty,
+    study_material_id: quiz.study_material_id
+  };
+}
+
+// Draw random questions from the chosen sources and start the clock
+export async function createExam(userId, settings) {
+  let query = supabase
+    .from('quizzes')
+    .select('id, question, options, difficulty, study_material_id, study_materials!inner (deleted_at)')
+    .eq('user_id', userId)
+    .in('study_material_id', settings.sourceIds)
+    .is('study_materials.deleted_at', null);
+
+  if (settings.difficulty) {
+    query = query.eq('difficulty', settings.difficulty);
+  }
+
+  const { data: pool, error: poolError } = await query;
+  if (poolError) {
+    console.error('Error fetching exam questions:', poolError);
+    throw poolError;
+  }
+  if (!pool || pool.length === 0) {
+    return null;
+  }
+
+  const questions = shuffle(pool).slice(0, settings.questionCount);
+  const { data: exam, error } = await supabase
+    .from('quiz_attempts')
+    .insert([
+      {
+        user_id: userId,
+        study_material_id: settings.sourceIds.length === 1 ? settings.sourceIds[0] : null,
+        mode: 'exam',
+        settings,
+        question_ids: questions.map(q => q.id),
+        duration_seconds: Math.round(settings.durationMinutes * 60),
+        max_score: questions.length * settings.marksPerCorrect
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating exam:', error);
+    throw error;
+  }
+
+  return { exam, questions: questions.map(toExamQuestion) };
+}
+
+async function getExamRow(examId, userId) {
+  const { data: exam, error } = await supabase
+    .from('quiz_attempts')
+    .select('*')
+    .eq('id', examId)
+    .eq('user_id', userId)
+    .eq('mode', 'exam')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching exam:', error);
+    throw error;
+  }
+
+  return exam;
+}
+
+async function getExamQuizzes(exam) {
+  const { data: quizzes, error } = await supabase
+    .from('quizzes')
+    .select(`
+      id,
+      question,
+      options,
+      correct_answer,
+      difficulty,
+      study_material_id,
+      study_materials (
+        url
+      )
+    `)
+    .in('id', exam.question_ids);
+
+  if (error) {
+    console.error('Error fetching exam quizzes:', error);
+    throw error;
+  }
+
+  // Keep the order questions were drawn in
+  const byId = new Map((quizzes || []).map(quiz => [quiz.id, quiz]));
+  return exam.question_ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+function deadlineOf(exam) {
+  return new Date(new Date(exam.started_at).getTime() + exam.duration_seconds * 1000);
+}
+
+// Grade answers ({ [quizId]: option }) with the exam's marking scheme
+export function gradeExam(quizzes, answers, settings) {
+  const questions = quizzes.map(quiz => {
+    const selected = answers[quiz.id] ?? null;
+    const status = selected === null ? 'unanswered'
+      : selected === quiz.correct_answer ? 'correct'
+      : 'wrong';
+    const marks = status === 'correct' ? settings.marksPerCorrect
+      : status === 'wrong' ? -settings.negativeMarks
+      : 0;
+
+    return {
+      id: quiz.id,
+      question: quiz.question,
+      options: quiz.options,
+      selected,
+      correct_answer: quiz.correct_answer,
+      difficulty: quiz.difficulty,
+      status,
+      marks,
+      source_url: quiz.study_materials?.url || null
+    };
+  });
+
+  const count = (status) => questions.filter(q => q.status === status).length;
+  const score = questions.reduce((sum, q) => sum + q.marks, 0);
+
+  return {
+    questions,
+    correct: count('correct'),
+    wrong: count('wrong'),
+    unanswered: count('unanswered'),
+    score: Math.round(score * 100) / 100,
+    maxScore: quizzes.length * settings.marksPerCorrect
+  };
+}
+
+// Current state of an exam: questions and deadline while running, the graded report once submitted
+export async function getExam(examId, userId) {
+  const exam = await getExamRow(examId, userId);
+  if (!exam) return null;
+
+  const quizzes = await getExamQuizzes(exam);
+  const base = {
+    id: exam.id,
+    settings: exam.settings,
+    started_at: exam.started_at,
+    deadline: deadlineOf(exam).toISOString(),
+    completed_at: exam.completed_at
+  };
+
+  if (!exam.completed_at) {
+    return { ...base, status: 'running', questions: quizzes.map(toExamQuestion) };
+  }
+
+  const { data: answerRows, error } = await supabase
+    .from('quiz_answers')
+    .select('quiz_id, selected_option')
+    .eq('attempt_id', exam.id);
+
+  if (error) {
+    console.error('Error fetching exam answers:', error);
+    throw error;
+  }
+
+  const answers = Object.fromEntries((answerRows || []).map(row => [row.quiz_id, row.selected_option]));
+  return { ...base, status: 'completed', report: gradeExam(quizzes, answers, exam.settings) };
+}
+
+// Grade a submission, store each answer and close the exam; an exam can only be submitted once
+export async function submitExam(examId, userId, answers, timeTakenMs) {
+  const exam = await getExamRow(examId, userId);
+  if (!exam) return null;
+  if (exam.completed_at) {
+    return { alreadySubmitted: true };
+  }
+
+  const now = new Date();
+  const late = now.getTime() > deadlineOf(exam).getTime() + SUBMIT_GRACE_MS;
+
+  // Answers sent after the time limit count as unanswered
+  const quizzes = await getExamQuizzes(exam);
+  const validAnswers = {};
+  for (const quiz of late ? [] : quizzes) {
+    const selected = answers?.[quiz.id];
+    if (typeof selected === 'string' && quiz.options.includes(selected)) {
+      validAnswers[quiz.id] = selected;
+    }
+  }
+
+  const report = gradeExam(quizzes, validAnswers, exam.settings);
+
+  const answerRows = report.questions
+    .filter(q => q.status !== 'unanswered')
+    .map(q => ({
+      quiz_id: q.id,
+      selected_option: q.selected,
+      is_correct: q.status === 'correct'
+    }));
+
+  // Answers and completion are stored together, and only while the exam is still open, so an
+  // exam is never graded twice or left completed without its answers
+  const { data: submitted, error } = await supabase.rpc('submit_exam', {
+    exam_id: exam.id,
+    owner_id: userId,
+    submitted_at: now.toISOString(),
+    exam_score: report.score,
+    exam_max_score: report.maxScore,
+    exam_settings: {
+      ...exam.settings,
+      late,
+      timeTakenMs: Number.isFinite(timeTakenMs) ? Math.round(timeTakenMs) : null
+    },
+    answers: answerRows
+  });
+
+  if (error) {
+    console.error('Error submitting exam:', error);
+    throw error;
+  }
+  if (!submitted) {
+    return { alreadySubmitted: true };
+  }
+
+  return { report, late };
+}
@@ -0,0 +1,22 @@
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+// Server-only: service account credentials must never use the NEXT_PUBLIC_ prefix
+const serviceAccount = {
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+  clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+  // Keys stored in env files have their newlines escaped
+  privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+};
+
+// Initialize Firebase Admin
+const adminApp = !getApps().length
+  ? initializeApp(
+      serviceAccount.clientEmail && serviceAccount.privateKey
+        ? { credential: cert(serviceAccount), projectId: serviceAccount.projectId }
+        : { projectId: serviceAccount.projectId }
+    )
+  : getApps()[0];
+const adminAuth = getAuth(adminApp);
+
+export { adminApp, adminAuth };
@@ -0,0 +1,310 @@
+import { generateText, isRateLimitError } from '@/app/lib/llm';
+import {
+  STUDY_MATERIALS_SCHEMA,
+  StudyMaterialsValidationError,
+  formatIssues,
+  parseStudyMaterialsJSON,
+  validateStudyMaterials
+} from '@/app/lib/studyMaterialsSchema';
+import { getTimeRange } from '@/app/utils/timestamps';
+import { getPageRange } from '@/app/utils/pages';
+import { getLanguageName } from '@/app/utils/languages';
+import { QUESTION_TYPES } from '@/app/utils/generationOptions';
+import { QUIZ_DIFFICULTIES } from '@/app/utils/difficulty';
+
+// How much of a source's existing questions a "generate more" prompt lists
+const EXISTING_MAX_ITEMS = 80;
+const EXISTING_MAX_CHARS = 8000;
+
+// Ask the model for study materials and validate the reply against the schema.
+// A reply that is not JSON, or has nothing usable in it, is asked for once more.
+async function makeGenerateRequest(prompt, { allowEmpty = false } = {}, retryCount = 0) {
+  const text = await generateText(prompt, {
+    schema: STUDY_MATERIALS_SCHEMA,
+    schemaName: 'study_materials'
+  });
+
+  try {
+    const { materials, issues } = validateStudyMaterials(parseStudyMaterialsJSON(text), { allowEmpty });
+    if (issues.length > 0) {
+      console.warn(`Dropped or repaired ${issues.length} malformed entries: ${formatIssues(issues)}`);
+    }
+    return materials;
+  } catch (error) {
+    if (!(error instanceof StudyMaterialsValidationError)) throw error;
+
+    console.error('Invalid study materials from model:', error.message, formatIssues(error.issues));
+    if (retryCount < 1) {
+      console.log(`Retrying generate request (attempt ${retryCount + 1})`);
+      return makeGenerateRequest(prompt, { allowEmpty }, retryCount + 1);
+    }
+    throw error;
+  }
+}
+
+// Utility function for delay
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Utility function for chunking array
+export function chunkArray(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Items the model did not place in time (or on a page) still come from somewhere in this
+// chunk: returns a function giving such an item the chunk's own range
+function locateInChunk(chunk) {
+  const chunkRange = getTimeRange(chunk);
+  const chunkPages = getPageRange(chunk);
+  return item => ({
+    ...item,
+    timeRange: item.timeRange || chunkRange,
+    pageRange: item.pageRange || chunkPages
+  });
+}
+
+// Generate study materials for a single chunk of content. `overlap` is the end of the previous
+// chunk and `outline` the key points of earlier chunks, both passed along as context only.
+// `outputLanguage` translates the materials; without it they follow the content's language.
+// `options` are the user's generation options, with target counts shared out over `parts` chunks.
+export async function generateChunkMaterials(
+  chunk,
+  { overlap = null, outline = [], outputLanguage = null, options = null, parts = 1 } = {}
+) {
+  const prompt = generatePrompt(chunk, { overlap, outline, outputLanguage, options, parts });
+  const materials = await makeGenerateRequest(prompt);
+
+  const locate = locateInChunk(chunk);
+  const chunkRange = getTimeRange(chunk);
+  return {
+    ...materials,
+    summary_time_ranges: materials.summary_time_ranges.map(range => range || chunkRange),
+    flashcards: materials.flashcards.map(locate),
+    quiz: materials.quiz.map(locate)
+  };
+}
+
+// Generate up to `count` more flashcards or quiz questions (`type`) for one part of a source,
+// following the learner's `instructions`. `existing` lists the questions the source already has,
+// and `part` ({ index, total }) lets instructions like "focus on the second half" pick parts.
+// A part the instructions leave out may come back empty.
+// The material's generation options keep their question kinds and exam focus.
+export async function generateMoreMaterials(
+  chunk,
+  { type, count, instructions = null, existing = [], part, outputLanguage = null, options = null }
+) {
+  const prompt = generateMorePrompt(chunk, { type, count, instructions, existing, part, outputLanguage, options });
+  const materials = await makeGenerateRequest(prompt, { allowEmpty: true });
+
+  const locate = locateInChunk(chunk);
+  return {
+    flashcards: type === 'flashcards' ? materials.flashcards.map(locate).slice(0, count) : [],
+    quiz: type === 'quiz' ? materials.quiz.map(locate).slice(0, count) : []
+  };
+}
+
+// Turn a generation failure into a message that can be shown to the user
+export function describeGenerationError(error) {
+  if (isRateLimitError(error)) {
+    return 'API rate limit reached. Please try again in a few minutes.';
+  } else if (error instanceof StudyMaterialsValidationError) {
+    return 'The AI returned study materials in an unexpected format. Please try again.';
+  }
+  return 'Failed to generate study materials. Please try again.';
+}
+
+function generateContextSection({ overlap, outline }) {
+  const sections = [];
+  if (outline.length > 0) {
+    sections.push(`
+    This content continues earlier parts that already covered these points. Build on them
+    instead of generating flashcards or questions for them again:
+    ${outline.map(point => `- ${point}`).join('\n    ')}
+`);
+  }
+  if (overlap) {
+    sections.push(`
+    The previous part ended with the passage below. Use it only to understand the start of
+    the content; do not generate materials from it alone:
+    ${overlap}
+`);
+  }
+  return sections.join('');
+}
+
+// Existing questions the model should not repeat, newest last, within a prompt budget
+function describeExisting(existing) {
+  const lines = [];
+  let size = 0;
+  for (let i = existing.length - 1; i >= 0 && lines.length < EXISTING_MAX_ITEMS; i--) {
+    size += existing[i].length;
+    if (size > EXISTING_MAX_CHARS) break;
+    lines.unshift(`- ${existing[i]}`);
+  }
+  return lines.join('\n    ');
+}
+
+function describeOutputLanguage(outputLanguage) {
+  return outputLanguage
+    ? `Write every summary point, flashcard, question and option in ${getLanguageName(outputLanguage)},
+       translating from the content's language if it differs`
+    : 'Write every summary point, flashcard, question and option in the language of the content';
+}
+
+// Count and difficulty rules for one chunk: the user's targets shared out over the chunks, or
+// the default of covering every concept with a spread of difficulties
+function describeAmounts(options, parts) {
+  const share = total => Math.max(1, Math.ceil(total / parts));
+  const rules = [
+    options?.flashcardCount
+      ? `Write about ${share(options.flashcardCount)} flashcards on the most important concepts, and summary points covering every important concept`
+      : 'Cover every important concept with summary points and flashcards'
+  ];
+  if (options?.quizCount) {
+    rules.push(`Write about ${share(options.quizCount)} quiz questions`);
+  }
+  rules.push('Keep code, formulas and quotations exactly as written; escape them as normal JSON strings');
+  rules.push('Each quiz question has four options and correctAnswer is the exact text of one of them');
+  rules.push(options?.difficultyMix
+    ? `Split quiz questions by difficulty: ${QUIZ_DIFFICULTIES
+      .map(level => `${options.difficultyMix[level]}% ${level}`)
+      .join(', ')}.
+       easy is basic recall, medium understanding and application, hard complex scenarios
+       and extreme advanced problem-solving`
+    : `Spread quiz questions across difficulty levels:
+       - easy: Basic recall questions
+       - medium: Understanding and application
+       - hard: Complex scenarios
+       - extreme: Advanced problem-solving`);
+  return rules;
+}
+
+// Rules on the kinds of questions and the exam they prepare for, shared with "generate more"
+function describeFocus(options) {
+  const rules = [];
+  if (options?.questionTypes) {
+    const kinds = options.questionTypes
+      .map(value => QUESTION_TYPES.find(type => type.value === value)?.prompt)
+      .filter(Boolean);
+    rules.push(`Only write flashcards and quiz questions of these kinds: ${kinds.join('; ')}`);
+  }
+  if (options?.examFocus) {
+    rules.push(`The learner is preparing for the ${options.examFocus} exam: focus on what it tests and
+       match the style and level of its questions`);
+  }
+  return rules;
+}
+
+function numberRules(rules) {
+  return rules.map((rule, index) => `${index + 1}. ${rule}`).join('\n    ');
+}
+
+function generatePrompt(content, { outputLanguage, options, parts, ...context }) {
+  const rules = [
+    ...describeAmounts(options, parts),
+    'difficulty_level is beginner, intermediate or advanced',
+    'Focus on key concepts from this section and vary what the questions cover',
+    ...describeFocus(options),
+    `If the content has [m:ss] timestamp markers, set start and end of every summary point,
+       flashcard and question to the markers of the lines it is based on. If it has [Page N] or
+       [Slide N] markers, set start and end to those page or slide numbers (like "3") instead.
+       Otherwise use ""`,
+    `${describeOutputLanguage(outputLanguage)}; keep code, formulas and quotations untranslated`
+  ];
+
+  return `
+    Generate comprehensive study materials as a JSON object.
+${generateContextSection(context)}
+    Content: ${content}
+
+    Return ONLY a JSON object of this shape (no other text or explanation):
+    {
+      "summary": [
+        { "point": "Key point about the topic", "start": "0:00", "end": "1:30" }
+      ],
+      "flashcards": [
+        { "question": "Question about a concept", "answer": "Its answer", "start": "0:45", "end": "1:10" }
+      ],
+      "quiz": [
+        {
+          "question": "Multiple choice question",
+          "options": ["First choice", "Second choice", "Third choice", "Fourth choice"],
+          "correctAnswer": "First choice",
+          "difficulty": "easy",
+          "start": "1:10",
+          "end": "1:30"
+        }
+      ],
+      "hashtags": ["topic1", "topic2"],
+      "difficulty_level": "beginner",
+      "estimated_study_time": "30"
+    }
+
+    RULES:
+    ${numberRules(rules)}
+  `;
+}
+
+function generateMorePrompt(content, { type, count, instructions, existing, part, outputLanguage, options }) {
+  const itemName = type === 'flashcards' ? 'flashcards' : 'multiple choice quiz questions';
+  const example = type === 'flashcards'
+    ? `"flashcards": [
+        { "question": "Question about a concept", "answer": "Its answer", "start": "0:45", "end": "1:10" }
+      ],
+      "quiz": [],`
+    : `"flashcards": [],
+      "quiz": [
+        {
+          "question": "Multiple choice question",
+          "options": ["First choice", "Second choice", "Third choice", "Fourth choice"],
+          "correctAnswer": "First choice",
+          "difficulty": "medium",
+          "start": "1:10",
+          "end": "1:30"
+        }
+      ],`;
+
+  const rules = [
+    `Create at most ${count} new ${itemName} from this part of the content`,
+    `Follow the learner's request. If it asks about other parts of the source than this one,
+       or this part has nothing it asks for, return empty lists`,
+    'Keep code, formulas and quotations exactly as written; escape them as normal JSON strings',
+    ...(type === 'quiz' ? [`Each quiz question has four options and correctAnswer is the exact text of one of them.
+       Set difficulty to easy, medium, hard or extreme; unless the learner asked for a level,
+       ${options?.difficultyMix
+         ? `aim for ${QUIZ_DIFFICULTIES.map(level => `${options.difficultyMix[level]}% ${level}`).join(', ')}`
+         : 'spread the questions across them'}`] : []),
+    ...describeFocus(options),
+    `If the content has [m:ss] timestamp markers, set start and end of every item to the
+       markers of the lines it is based on. If it has [Page N] or [Slide N] markers, set start
+       and end to those page or slide numbers (like "3") instead. Otherwise use ""`,
+    `${describeOutputLanguage(outputLanguage)}; keep code, formulas and quotations untranslated`
+  ];
+
+  return `
+    Generate additional ${itemName} as a JSON object. The content below is part ${part.index + 1}
+    of ${part.total} of the source, in order.
+${existing.length > 0 ? `
+    The learner already has these questions. Do not repeat them or ask the same thing in other words:
+    ${describeExisting(existing)}
+` : ''}${instructions ? `
+    The learner asked for: ${instructions}
+` : ''}
+    Content: ${content}
+
+    Return ONLY a JSON object of this shape (no other text or explanation):
+    {
+      "summary": [],
+      ${example}
+      "hashtags": [],
+      "difficulty_level": "beginner",
+      "estimated_study_time": "0"
+    }
+
+    RULES:
+    ${numberRules(rules)}
+  `;
+}
@@ -0,0 +1,96 @@
+import { supabase } from '@/app/lib/supabase';
+
+const RUN_FIELDS = `
+  id,
+  kind,
+  item_type,
+  requested_count,
+  instructions,
+  status,
+  error,
+  added_flashcards,
+  added_quizzes,
+  created_at,
+  completed_at
+`;
+
+// A run is generated within one request, so one still 'running' after the route's 300 s limit
+// (with some slack) was cut off and will never finish
+const STALE_AFTER_MS = 6 * 60 * 1000;
+
+const STALE_ERROR = 'Generation was cut off before it finished. Please try again.';
+
+// Record a generation run for a study material: kind 'initial' for its first processing,
+// 'more' for a "generate more" request. `fields` are further generation_runs columns.
+export async function createGenerationRun(userId, studyMaterialId, { kind, ...fields }) {
+  const { data: run, error } = await supabase
+    .from('generation_runs')
+    .insert([{ ...fields, kind, user_id: userId, study_material_id: studyMaterialId }])
+    .select(RUN_FIELDS)
+    .single();
+
+  if (error) {
+    console.error('Error creating generation run:', error);
+    throw error;
+  }
+
+  return run;
+}
+
+// Mark a run done (with what it added) or failed (with `error`)
+export async function finishGenerationRun(runId, fields) {
+  const { data: run, error } = await supabase
+    .from('generation_runs')
+    .update({ ...fields, completed_at: new Date().toISOString() })
+    .eq('id', runId)
+    .select(RUN_FIELDS)
+    .single();
+
+  if (error) {
+    console.error('Error updating generation run:', error);
+    throw error;
+  }
+
+  return run;
+}
+
+// Mark runs that were cut off as failed; resolves to the runs with their current status. This
+// is only upkeep, so when the update fails the runs are returned as they were read.
+async function failStaleRuns(runs) {
+  const staleIds = runs
+    .filter(run => run.status === 'running' && Date.now() - new Date(run.created_at).getTime() > STALE_AFTER_MS)
+    .map(run => run.id);
+  if (staleIds.length === 0) return runs;
+
+  const completedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('generation_runs')
+    .update({ status: 'failed', error: STALE_ERROR, completed_at: completedAt })
+    .in('id', staleIds)
+    .eq('status', 'running');
+
+  if (error) {
+    console.error('Error failing stale generation runs:', error);
+    return runs;
+  }
+
+  return runs.map(run => (staleIds.includes(run.id)
+    ? { ...run, status: 'failed', error: STALE_ERROR, completed_at: completedAt }
+    : run));
+}
+
+// Every run of a study material, oldest first; runs that were cut off are marked failed
+export async function listGenerationRuns(studyMaterialId) {
+  const { data, error } = await supabase
+    .from('generation_runs')
+    .select(RUN_FIELDS)
+    .eq('study_material_id', studyMaterialId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error loading generation runs:', error);
+    throw error;
+  }
+
+  return failStaleRuns(data || []);
+}
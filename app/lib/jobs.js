@@ -0,0 +1,431 @@
+import { supabase } from '@/app/lib/supabase';
+import {
+  generateChunkMaterials,
+  describeGenerationError,
+  chunkArray,
+  delay
+} from '@/app/lib/generation';
+import { mergeChunkResults } from '@/app/lib/merge';
+import { splitContent } from '@/app/lib/chunking';
+import { getChunkTokenLimit } from '@/app/lib/llm';
+import {
+  extractContent,
+  getStudyMaterial,
+  loadStudyMaterials,
+  storeStudyMaterials,
+  trashStudyMaterial
+} from '@/app/lib/studyMaterials';
+import { isYouTubeUrl } from '@/app/utils/youtube';
+
+const CONCURRENCY_LIMIT = 3; // Process 3 chunks at a time
+
+// How much of the running outline is passed to later chunks
+const OUTLINE_MAX_POINTS = 25;
+const OUTLINE_MAX_CHARS = 2000;
+
+// A running job that has not been touched for this long was cut off mid-run
+const STALLED_AFTER_MS = 2 * 60 * 1000;
+
+const JOB_FIELDS = `
+  id,
+  url,
+  source_url,
+  title,
+  status,
+  thumbnail,
+  transcript_language,
+  output_language,
+  total_chunks,
+  completed_chunks,
+  failed_chunks,
+  error,
+  study_material_id,
+  created_at,
+  updated_at
+`;
+
+export function isJobStalled(job) {
+  return job.status === 'running' &&
+    Date.now() - new Date(job.updated_at).getTime() > STALLED_AFTER_MS;
+}
+
+function withStalledFlag(job) {
+  return { ...job, stalled: isJobStalled(job) };
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('processing_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('Error updating job:', error);
+    throw error;
+  }
+}
+
+async function updateChunk(chunkId, fields) {
+  const { error } = await supabase
+    .from('processing_job_chunks')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', chunkId);
+
+  if (error) {
+    console.error('Error updating job chunk:', error);
+    throw error;
+  }
+}
+
+// Uploads pass their text as `content`; link sources are fetched when the job first runs.
+// `transcriptLanguage` picks a video's caption track, `outputLanguage` the language of the
+// generated materials; without them the video's default track and its language are used.
+// `generationOptions` (see parseGenerationOptions) steer counts, difficulty and question kinds.
+// `replacesStudyMaterialId` is the user's material an explicit regenerate moves to the trash.
+export async function createJob({
+  userId,
+  url,
+  sourceUrl,
+  summaryLimit = null,
+  title = null,
+  thumbnail = null,
+  content = null,
+  transcriptLanguage = null,
+  outputLanguage = null,
+  generationOptions = null,
+  replacesStudyMaterialId = null
+}) {
+  const { data: job, error } = await supabase
+    .from('processing_jobs')
+    .insert([
+      {
+        user_id: userId,
+        url,
+        source_url: sourceUrl,
+        summary_limit: summaryLimit,
+        title,
+        thumbnail,
+        content,
+        transcript_language: transcriptLanguage,
+        output_language: outputLanguage,
+        generation_options: generationOptions,
+        replaces_study_material_id: replacesStudyMaterialId,
+        status: 'queued'
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating processing job:', error);
+    throw error;
+  }
+
+  console.log('Created processing job:', job.id);
+  return job;
+}
+
+// Get one of the user's jobs with the status of each chunk
+export async function getJob(jobId, userId) {
+  const { data: job, error } = await supabase
+    .from('processing_jobs')
+    .select(`
+      ${JOB_FIELDS},
+      processing_job_chunks (
+        chunk_index,
+        status,
+        error,
+        attempts
+      )
+    `)
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching job:', error);
+    throw error;
+  }
+  if (!job) return null;
+
+  const { processing_job_chunks: chunks, ...fields } = job;
+  return {
+    ...withStalledFlag(fields),
+    chunks: (chunks || []).sort((a, b) => a.chunk_index - b.chunk_index)
+  };
+}
+
+// Most recent jobs for a user, newest first
+export async function listJobs(userId, limit = 10) {
+  const { data: jobs, error } = await supabase
+    .from('processing_jobs')
+    .select(JOB_FIELDS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error listing jobs:', error);
+    throw error;
+  }
+
+  return (jobs || []).map(withStalledFlag);
+}
+
+// Fetch the content for a job and persist it as chunks, so retries never refetch it
+async function prepareChunks(job, onProgress) {
+  const youtube = isYouTubeUrl(job.url);
+  onProgress({
+    step: 'extract',
+    status: 'pending',
+    message: job.content ? 'Reading uploaded text'
+      : youtube ? 'Fetching YouTube transcript'
+      : 'Extracting content from URL'
+  });
+
+  const { content, thumbnail = null, title = null, metadata = null, language = null } = job.content
+    ? { content: job.content, thumbnail: job.thumbnail }
+    : await extractContent(job.url, { userId: job.user_id, language: job.transcript_language });
+  const contentChunks = splitContent(content, { maxTokens: getChunkTokenLimit() });
+
+  const { data: chunks, error } = await supabase
+    .from('processing_job_chunks')
+    .insert(
+      contentChunks.map((chunk, index) => ({
+        job_id: job.id,
+        chunk_index: index,
+        content: chunk.content,
+        overlap: chunk.overlap,
+        status: 'pending'
+      }))
+    )
+    .select()
+    .order('chunk_index', { ascending: true });
+
+  if (error) {
+    console.error('Error storing job chunks:', error);
+    throw error;
+  }
+
+  job.thumbnail = thumbnail;
+  job.title = job.title || title;
+  job.metadata = metadata;
+  job.transcript_language = language;
+  await updateJob(job.id, {
+    thumbnail,
+    title: job.title,
+    metadata,
+    transcript_language: language,
+    total_chunks: contentChunks.length
+  });
+
+  onProgress({
+    step: 'extract',
+    status: 'completed',
+    message: `${youtube ? 'Fetched YouTube transcript' : 'Extracted content'} (${content.length.toLocaleString()} characters)`
+  });
+
+  return chunks;
+}
+
+// Content chunks of the latest job that produced a study material, in order; empty when the
+// material came from somewhere else (such as a shared copy)
+export async function getMaterialChunks(studyMaterialId) {
+  const { data: job, error: jobError } = await supabase
+    .from('processing_jobs')
+    .select('id')
+    .eq('study_material_id', studyMaterialId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (jobError) {
+    console.error('Error loading job for study material:', jobError);
+    throw jobError;
+  }
+  if (!job) return [];
+
+  const { data: chunks, error } = await supabase
+    .from('processing_job_chunks')
+    .select('content')
+    .eq('job_id', job.id)
+    .order('chunk_index', { ascending: true });
+
+  if (error) {
+    console.error('Error loading job chunks:', error);
+    throw error;
+  }
+
+  return (chunks || []).map(chunk => chunk.content);
+}
+
+// Summary points generated so far for the chunks before `chunkIndex`, most recent last,
+// so a later chunk knows which concepts were already introduced. Chunks run CONCURRENCY_LIMIT
+// at a time, so this only covers earlier groups: the first group gets no outline and chunks of
+// one group never see each other's points.
+function buildOutline(chunks, chunkIndex) {
+  const points = chunks
+    .filter(chunk => chunk.chunk_index < chunkIndex && chunk.status === 'done')
+    .flatMap(chunk => chunk.result?.summary || [])
+    .slice(-OUTLINE_MAX_POINTS);
+
+  let size = 0;
+  const outline = [];
+  for (let i = points.length - 1; i >= 0; i--) {
+    size += points[i].length;
+    if (size > OUTLINE_MAX_CHARS) break;
+    outline.unshift(points[i]);
+  }
+  return outline;
+}
+
+// Run (or resume) a job: generate every chunk not yet done, then merge and store the results.
+// Resolves to { status, materials, error } and records the same status on the job row.
+export async function runJob(jobId, onProgress = () => {}) {
+  const { data: job, error: jobError } = await supabase
+    .from('processing_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (jobError) {
+    console.error('Error loading job:', jobError);
+    throw jobError;
+  }
+
+  try {
+    await updateJob(jobId, { status: 'running', error: null });
+
+    const { data: storedChunks, error: chunksError } = await supabase
+      .from('processing_job_chunks')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('chunk_index', { ascending: true });
+
+    if (chunksError) throw chunksError;
+
+    const chunks = storedChunks?.length > 0 ? storedChunks : await prepareChunks(job, onProgress);
+    const pendingChunks = chunks.filter(chunk => chunk.status !== 'done');
+    const groups = chunkArray(pendingChunks, CONCURRENCY_LIMIT);
+
+    for (let i = 0; i < groups.length; i++) {
+      console.log(`Processing chunk group ${i + 1}/${groups.length} for job ${jobId}`);
+      onProgress({
+        step: 'generate',
+        status: 'pending',
+        message: `Generating study materials (chunk group ${i + 1} of ${groups.length})`
+      });
+
+      // Outlines are taken before the group starts, so no chunk sees a sibling that happened to
+      // finish first
+      const outlines = new Map(groups[i].map(chunk => [chunk.id, buildOutline(chunks, chunk.chunk_index)]));
+
+      // Each chunk records its own outcome, so one failure does not lose the others
+      await Promise.all(groups[i].map(async (chunk) => {
+        try {
+          chunk.attempts += 1;
+          await updateChunk(chunk.id, { status: 'running', attempts: chunk.attempts });
+          const result = await generateChunkMaterials(chunk.content, {
+            overlap: chunk.overlap,
+            outline: outlines.get(chunk.id),
+            outputLanguage: job.output_language,
+            options: job.generation_options,
+            parts: chunks.length
+          });
+          chunk.status = 'done';
+          chunk.result = result;
+          await updateChunk(chunk.id, { status: 'done', result, error: null });
+        } catch (error) {
+          console.error(`Error processing chunk ${chunk.chunk_index + 1}:`, error);
+          chunk.status = 'failed';
+          chunk.error = describeGenerationError(error);
+          await updateChunk(chunk.id, { status: 'failed', error: chunk.error });
+        }
+      }));
+
+      await updateJob(jobId, {
+        completed_chunks: chunks.filter(chunk => chunk.status === 'done').length,
+        failed_chunks: chunks.filter(chunk => chunk.status === 'failed').length
+      });
+
+      // Small delay between groups to avoid rate limits
+      if (i + 1 < groups.length) {
+        await delay(1000);
+      }
+    }
+
+    const failedChunks = chunks.filter(chunk => chunk.status === 'failed');
+    if (failedChunks.length > 0) {
+      const status = failedChunks.length === chunks.length ? 'failed' : 'partial';
+      const error = `${failedChunks.length} of ${chunks.length} chunks failed: ${failedChunks[0].error}`;
+      await updateJob(jobId, { status, error });
+      onProgress({ step: 'generate', status: 'error', message: error });
+      return { status, materials: null, error };
+    }
+
+    onProgress({
+      step: 'generate',
+      status: 'completed',
+      message: `Generated study materials from ${chunks.length} chunk${chunks.length === 1 ? '' : 's'}`
+    });
+
+    const materials = {
+      ...mergeChunkResults(
+        chunks.map(chunk => chunk.result),
+        {
+          summaryLimit: job.summary_limit ?? undefined,
+          flashcardLimit: job.generation_options?.flashcardCount,
+          quizLimit: job.generation_options?.quizCount
+        },
+        onProgress
+      ),
+      url: job.source_url,
+      title: job.title,
+      ...job.metadata,
+      transcript_language: job.transcript_language,
+      output_language: job.output_language,
+      summary_limit: job.summary_limit,
+      generation_options: job.generation_options
+    };
+
+    onProgress({ step: 'store', status: 'pending', message: 'Saving to database' });
+    const studyMaterialId = await storeStudyMaterials(job.user_id, job.source_url, materials, job.thumbnail);
+    onProgress({ step: 'store', status: 'completed', message: 'Saved to database' });
+
+    // Regenerating replaces the previous version, which stays restorable in the trash; it is
+    // only moved there once the new one is stored, and if that fails both are kept. Any other
+    // job for a link the user already has keeps both versions.
+    if (job.replaces_study_material_id) {
+      try {
+        await trashStudyMaterial(job.replaces_study_material_id, job.user_id);
+      } catch (error) {
+        console.error(`Error trashing material ${job.replaces_study_material_id} replaced by job ${jobId}:`, error);
+      }
+    }
+
+    await updateJob(jobId, { status: 'done', study_material_id: studyMaterialId, error: null });
+    // Reloaded so the caller gets the stored ids that edits refer to
+    const stored = await loadStudyMaterials(await getStudyMaterial(studyMaterialId));
+    return { status: 'done', materials: stored, error: null };
+  } catch (error) {
+    console.error(`Error running job ${jobId}:`, error);
+    await updateJob(jobId, { status: 'failed', error: error.message });
+    return { status: 'failed', materials: null, error: error.message };
+  }
+}
+
+// Queue failed (or cut-off) chunks of a job to run again; done chunks are kept
+export async function resetFailedChunks(jobId) {
+  const { error } = await supabase
+    .from('processing_job_chunks')
+    .update({ status: 'pending', error: null, updated_at: new Date().toISOString() })
+    .eq('job_id', jobId)
+    .in('status', ['failed', 'running']);
+
+  if (error) {
+    console.error('Error resetting job chunks:', error);
+    throw error;
+  }
+
+  await updateJob(jobId, { status: 'queued', error: null, failed_chunks: 0 });
+}
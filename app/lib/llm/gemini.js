@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Gemini's responseSchema is an OpenAPI subset: no additionalProperties, and string enums
+// have to be marked with format "enum"
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'additionalProperties') continue;
+    converted[key] = key === 'enum' ? value : toGeminiSchema(value);
+  }
+  if (converted.enum && converted.type === 'string') {
+    converted.format = 'enum';
+  }
+  return converted;
+}
+
+// Google Gemini through the Generative AI SDK. JSON mode needs a 1.5 or newer model.
+export function createGeminiProvider({
+  apiKey = process.env.GOOGLE_AI_KEY,
+  model = process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  chunkTokens = 3000
+} = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    chunkTokens,
+    async generateText(prompt, { schema } = {}) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(schema ? {
+          generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(schema)
+          }
+        } : {})
+      });
+      const response = await generativeModel.generateContent(prompt);
+      return response.response.text();
+    }
+  };
+}
@@ -0,0 +1,63 @@
+import { createGeminiProvider } from '@/app/lib/llm/gemini';
+import { createOpenAIProvider, createLocalProvider } from '@/app/lib/llm/openai';
+import { createMockProvider } from '@/app/lib/llm/mock';
+
+// LLM_PROVIDER picks the backend; LLM_FALLBACK_PROVIDER is tried when it is rate limited
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+const providers = {};
+
+function getProvider(name) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  if (!providers[name]) {
+    providers[name] = factory();
+  }
+  return providers[name];
+}
+
+export function getConfiguredProviders() {
+  const primary = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const fallback = process.env.LLM_FALLBACK_PROVIDER?.toLowerCase();
+  return [primary, fallback].filter((name, index, names) => name && names.indexOf(name) === index);
+}
+
+// Input tokens per chunk: LLM_CHUNK_TOKENS, or what suits the primary provider's model
+export function getChunkTokenLimit() {
+  const configured = parseInt(process.env.LLM_CHUNK_TOKENS, 10);
+  if (configured > 0) return configured;
+  return getProvider(getConfiguredProviders()[0]).chunkTokens;
+}
+
+export function isRateLimitError(error) {
+  const status = error?.status || error?.response?.status;
+  return status === 429 ||
+    /rate.?limit|quota|resource.?exhausted|too many requests/i.test(error?.message || '');
+}
+
+// Generate text with the configured provider, falling back to the next one on rate limits.
+// Pass { schema, schemaName } to request JSON matching a JSON Schema where the backend supports it.
+export async function generateText(prompt, options = {}) {
+  const names = getConfiguredProviders();
+
+  for (let i = 0; i < names.length; i++) {
+    const provider = getProvider(names[i]);
+    try {
+      return await provider.generateText(prompt, options);
+    } catch (error) {
+      const hasFallback = i + 1 < names.length;
+      if (hasFallback && isRateLimitError(error)) {
+        console.warn(`${provider.name} is rate limited, falling back to ${names[i + 1]}`);
+        continue;
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,99 @@
+// Deterministic offline provider: builds study materials straight from the prompt's content,
+// so the whole pipeline can run without network access or API keys
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'extreme'];
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'are', 'was', 'you', 'your', 'from', 'have',
+  'has', 'but', 'not', 'can', 'will', 'they', 'their', 'there', 'what', 'which', 'when', 'into'
+]);
+
+function extractContent(prompt) {
+  const match = prompt.match(/Content:\s*([\s\S]*?)\n\s*Return ONLY/);
+  return (match ? match[1] : prompt).trim();
+}
+
+// "[1:23]" transcript timestamps and "[Page 3]" / "[Slide 3]" document pages
+const TIMESTAMP_MARKER = /\[(\d{1,2}:\d{2}(?::\d{2})?|(?:Page|Slide) \d+)\]/;
+
+// Sentences of the content, each with the timestamp or page it falls under (if any)
+function splitSentences(text) {
+  const sentences = [];
+  let marker = '';
+  for (const part of text.split(/(?<=[.!?])\s+|\n+/)) {
+    marker = part.match(TIMESTAMP_MARKER)?.[1] || marker;
+    const sentence = part.replace(new RegExp(TIMESTAMP_MARKER, 'g'), '').replace(/\s+/g, ' ').trim();
+    if (sentence.split(' ').length >= 4) {
+      sentences.push({ sentence, marker });
+    }
+  }
+  return sentences;
+}
+
+function topWords(text, count) {
+  const frequencies = {};
+  for (const word of text.toLowerCase().match(/[a-z][a-z0-9-]{3,}/g) || []) {
+    if (STOP_WORDS.has(word)) continue;
+    frequencies[word] = (frequencies[word] || 0) + 1;
+  }
+  return Object.entries(frequencies)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+export function buildMockMaterials(content) {
+  const located = splitSentences(content);
+  const sentences = located.map(({ sentence }) => sentence);
+  const markerOf = (index) => located[index].marker;
+  const words = content.split(/\s+/).filter(Boolean).length;
+
+  const flashcards = sentences.slice(0, 5).map((sentence, index) => {
+    const cut = Math.ceil(sentence.split(' ').length / 2);
+    const parts = sentence.split(' ');
+    return {
+      question: `Complete the statement: ${parts.slice(0, cut).join(' ')} ...`,
+      answer: sentence,
+      start: markerOf(index),
+      end: markerOf(index)
+    };
+  });
+
+  const quiz = sentences.slice(0, 4).map((sentence, index) => {
+    const distractors = sentences.filter(other => other !== sentence).slice(0, 3);
+    while (distractors.length < 3) {
+      distractors.push(`None of the statements above (${distractors.length + 1})`);
+    }
+    // Rotate so the correct answer is not always first
+    const options = [sentence, ...distractors];
+    const rotated = options.slice(index % 4).concat(options.slice(0, index % 4));
+    return {
+      // Distinct wording per question, so the merge step does not fold them together
+      question: `Which sentence in the source starts with: ${sentence.split(' ').slice(0, 4).join(' ')}?`,
+      options: rotated,
+      correctAnswer: sentence,
+      difficulty: DIFFICULTIES[index % DIFFICULTIES.length],
+      start: markerOf(index),
+      end: markerOf(index)
+    };
+  });
+
+  return {
+    summary: sentences.slice(0, 5).map((point, index) => ({ point, start: markerOf(index), end: markerOf(index) })),
+    flashcards,
+    quiz,
+    hashtags: topWords(content, 3),
+    difficulty_level: 'beginner',
+    estimated_study_time: String(Math.max(5, Math.ceil(words / 200)))
+  };
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    chunkTokens: 2500,
+    async generateText(prompt) {
+      return JSON.stringify(buildMockMaterials(extractContent(prompt)));
+    }
+  };
+}
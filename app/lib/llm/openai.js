@@ -0,0 +1,49 @@
+import OpenAI from 'openai';
+
+// Strict structured output when a schema is given, plain JSON mode otherwise
+function toResponseFormat(schema, name) {
+  return schema
+    ? { type: 'json_schema', json_schema: { name, schema, strict: true } }
+    : { type: 'json_object' };
+}
+
+// OpenAI chat completions; with a baseURL this also covers OpenAI-compatible
+// local servers such as Ollama (http://localhost:11434/v1) or llama.cpp
+export function createOpenAIProvider({
+  name = 'openai',
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL,
+  model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  jsonMode = true,
+  chunkTokens = 3000
+} = {}) {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+    model,
+    chunkTokens,
+    async generateText(prompt, { schema, schemaName = 'response' } = {}) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(jsonMode ? { response_format: toResponseFormat(schema, schemaName) } : {})
+      });
+      return completion.choices[0]?.message?.content || '';
+    }
+  };
+}
+
+export function createLocalProvider() {
+  return createOpenAIProvider({
+    name: 'local',
+    // Local servers ignore the key but the SDK requires one
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    // Not every local server supports response_format
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE === 'true',
+    // Local models commonly run with an 8k context window
+    chunkTokens: 1500
+  });
+}
@@ -0,0 +1,291 @@
+// Merge per-chunk generation results into one set of study materials, folding together
+// near-duplicate summary points, flashcards and quiz questions from overlapping chunks
+
+export const DEFAULT_SUMMARY_LIMIT = 15;
+export const MAX_SUMMARY_LIMIT = 50;
+
+// Validate an optional summary cap from the client; empty means the default
+export function parseSummaryLimit(value) {
+  if (value === undefined || value === null || value === '') {
+    return { summaryLimit: null };
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUMMARY_LIMIT) {
+    return { error: `Summary points must be a whole number between 1 and ${MAX_SUMMARY_LIMIT}` };
+  }
+  return { summaryLimit: limit };
+}
+
+// Thresholds on a 0-1 similarity score
+const SUMMARY_SIMILARITY = 0.7;
+const QUESTION_SIMILARITY = 0.8;
+const RELATED_QUESTION_SIMILARITY = 0.5;
+const ANSWER_SIMILARITY = 0.6;
+
+// Words that carry no meaning of their own in a question or bullet point, so
+// "What is X?" and "What does X mean?" compare as the same question
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'is', 'are', 'was', 'were', 'be',
+  'it', 'its', 'this', 'that', 'these', 'those', 'with', 'by', 'as', 'at', 'from', 'which',
+  'what', 'who', 'how', 'why', 'when', 'where', 'do', 'does', 'did', 'can', 'you', 'following',
+  'mean', 'means', 'meaning', 'define', 'definition', 'describe', 'explain', 'term', 'called'
+]);
+
+// Crude stemming is enough to line up plurals and verb forms
+function stem(word) {
+  return word.replace(/(ing|ed|es|s)$/, '') || word;
+}
+
+// Scripts written without spaces between words (Chinese, Japanese, Thai and their neighbours)
+const UNSPACED_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]+/gu;
+
+// Overlapping character pairs stand in for the words of an unspaced run
+function bigrams(run) {
+  const chars = Array.from(run);
+  if (chars.length < 2) return chars;
+  return chars.slice(1).map((char, index) => chars[index] + char);
+}
+
+// Letters (with their combining marks, which Indic scripts need) and digits of any script
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(UNSPACED_RUN, run => ` ${bigrams(run).join(' ')} `)
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .map(stem);
+}
+
+function trigrams(tokens) {
+  const joined = ` ${tokens.join(' ')} `;
+  const grams = new Set();
+  for (let i = 0; i < joined.length - 2; i++) {
+    grams.add(joined.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Text with nothing left to compare (only punctuation or filler words) is never a duplicate
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+function fingerprint(text) {
+  const tokens = tokenize(text);
+  return { words: new Set(tokens), grams: trigrams(tokens) };
+}
+
+// Word overlap catches reordered phrasing, trigram overlap catches small spelling differences
+function similarity(a, b) {
+  return Math.max(overlap(a.words, b.words), overlap(a.grams, b.grams));
+}
+
+// Group items greedily: each item joins the first cluster whose representative it matches,
+// so clusters keep the position of their earliest member
+function cluster(items, isDuplicate) {
+  const clusters = [];
+  for (const item of items) {
+    const match = clusters.find(existing => isDuplicate(existing.members[0], item));
+    if (match) {
+      match.members.push(item);
+    } else {
+      clusters.push({ members: [item] });
+    }
+  }
+  return clusters;
+}
+
+function pickBest(members, score) {
+  return members.reduce((best, item) => (score(item) > score(best) ? item : best));
+}
+
+function toFlashcardEntry(card) {
+  return { card, question: fingerprint(card.question), answer: fingerprint(card.answer) };
+}
+
+function isDuplicateFlashcard(a, b) {
+  const questionSimilarity = similarity(a.question, b.question);
+  return questionSimilarity >= QUESTION_SIMILARITY ||
+    (questionSimilarity >= RELATED_QUESTION_SIMILARITY && similarity(a.answer, b.answer) >= ANSWER_SIMILARITY);
+}
+
+function toQuizEntry(quiz) {
+  return { quiz, question: fingerprint(quiz.question), answer: fingerprint(quiz.correctAnswer) };
+}
+
+function isDuplicateQuestion(a, b) {
+  const questionSimilarity = similarity(a.question, b.question);
+  return questionSimilarity >= QUESTION_SIMILARITY ||
+    (questionSimilarity >= RELATED_QUESTION_SIMILARITY && similarity(a.answer, b.answer) >= QUESTION_SIMILARITY);
+}
+
+function mergeFlashcards(cards) {
+  const clusters = cluster(cards.map(toFlashcardEntry), isDuplicateFlashcard);
+
+  // The fullest answer wins, without rewarding rambling
+  return clusters.map(({ members }) =>
+    pickBest(members, entry => Math.min(entry.card.answer.length, 400)).card);
+}
+
+function mergeQuiz(questions) {
+  const clusters = cluster(questions.map(toQuizEntry), isDuplicateQuestion);
+
+  // Prefer the standard four options, then the more specific question
+  return clusters.map(({ members }) =>
+    pickBest(members, entry =>
+      (entry.quiz.options.length === 4 ? 1000 : 0) + Math.min(entry.quiz.question.length, 300)).quiz);
+}
+
+// Entries that repeat neither an existing entry nor an earlier new one
+function keepNew(existing, additions, isDuplicate) {
+  const kept = [];
+  for (const entry of additions) {
+    if (!existing.some(other => isDuplicate(other, entry)) && !kept.some(other => isDuplicate(other, entry))) {
+      kept.push(entry);
+    }
+  }
+  return kept;
+}
+
+// Drop generated flashcards and questions that a source already has (or that repeat each
+// other), so "generate more" only ever adds new items. Order is kept.
+export function filterNewItems(existing, { flashcards = [], quiz = [] }) {
+  return {
+    flashcards: keepNew(existing.flashcards.map(toFlashcardEntry), flashcards.map(toFlashcardEntry), isDuplicateFlashcard)
+      .map(entry => entry.card),
+    quiz: keepNew(existing.quiz.map(toQuizEntry), quiz.map(toQuizEntry), isDuplicateQuestion)
+      .map(entry => entry.quiz)
+  };
+}
+
+// Consolidate the per-chunk bullet lists: repeated points are folded together, and when there
+// are more than `limit` the most repeated points of each chunk are taken in turn so every part
+// of the source stays covered. The result follows the order of the source.
+// Returns the points and, at the same indexes, the video time range of each (or null).
+function mergeSummary(responses, limit) {
+  const points = responses.flatMap((response, chunk) =>
+    (response.summary || []).map((text, position) => ({
+      text,
+      chunk,
+      position,
+      timeRange: response.summary_time_ranges?.[position] || null,
+      print: fingerprint(text)
+    })));
+
+  const clusters = cluster(points, (a, b) => similarity(a.print, b.print) >= SUMMARY_SIMILARITY)
+    .map(({ members }) => ({
+      point: pickBest(members, point => Math.min(point.text.length, 300)),
+      first: members[0],
+      weight: members.length
+    }));
+
+  let selected = clusters;
+  if (clusters.length > limit) {
+    const byChunk = new Map();
+    for (const item of clusters) {
+      if (!byChunk.has(item.first.chunk)) byChunk.set(item.first.chunk, []);
+      byChunk.get(item.first.chunk).push(item);
+    }
+    const queues = Array.from(byChunk.values())
+      .map(items => [...items].sort((a, b) => b.weight - a.weight || a.first.position - b.first.position));
+
+    selected = [];
+    while (selected.length < limit) {
+      for (const queue of queues) {
+        if (queue.length > 0 && selected.length < limit) {
+          selected.push(queue.shift());
+        }
+      }
+    }
+  }
+
+  const ordered = selected
+    .sort((a, b) => a.first.chunk - b.first.chunk || a.first.position - b.first.position);
+  return {
+    summary: ordered.map(item => item.point.text),
+    timeRanges: ordered.map(item => item.point.timeRange)
+  };
+}
+
+// At most `limit` of the merged items (which follow the source), picked evenly so every part
+// of the source stays covered; no limit keeps them all
+function spreadLimit(items, limit) {
+  if (!limit || items.length <= limit) return items;
+  return Array.from({ length: limit }, (_, index) => items[Math.floor(index * items.length / limit)]);
+}
+
+// Score per quiz difficulty for the material's overall level
+const DIFFICULTY_SCORES = { easy: 1, medium: 2, hard: 3, extreme: 4 };
+
+// Overall level from the mix of quiz difficulties, so it follows the questions actually kept
+function rateDifficulty(quiz) {
+  const scores = quiz.map(q => DIFFICULTY_SCORES[q.difficulty]).filter(Boolean);
+  if (scores.length === 0) return null;
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return average < 1.75 ? 'beginner' : average < 2.75 ? 'intermediate' : 'advanced';
+}
+
+// Minutes to read the summary once, go through each flashcard and answer each question
+function estimateStudyMinutes({ summary, flashcards, quiz }) {
+  return Math.ceil(summary.length * 0.5 + flashcards.length * 0.5 + quiz.length * 1.5);
+}
+
+// Combine per-chunk results (in source order) into one set of study materials. `flashcardLimit`
+// and `quizLimit` cap the merged flashcards and questions at the user's target counts.
+export function mergeChunkResults(
+  allResponses,
+  { summaryLimit = DEFAULT_SUMMARY_LIMIT, flashcardLimit = null, quizLimit = null } = {},
+  onProgress = () => {}
+) {
+  const difficultyVotes = {};
+  const flashcards = [];
+  const quiz = [];
+  const hashtags = [];
+
+  for (const response of allResponses) {
+    if (response.flashcards) flashcards.push(...response.flashcards);
+    if (response.quiz) quiz.push(...response.quiz);
+    if (Array.isArray(response.hashtags)) hashtags.push(...response.hashtags);
+    if (response.difficulty_level) {
+      difficultyVotes[response.difficulty_level] = (difficultyVotes[response.difficulty_level] || 0) + 1;
+    }
+  }
+
+  onProgress({ step: 'dedupe', status: 'pending', message: 'Merging similar items' });
+
+  const { summary, timeRanges } = mergeSummary(allResponses, summaryLimit);
+  const mergedFlashcards = spreadLimit(mergeFlashcards(flashcards), flashcardLimit);
+  const mergedQuiz = spreadLimit(mergeQuiz(quiz), quizLimit);
+  const studyMinutes = estimateStudyMinutes({ summary, flashcards: mergedFlashcards, quiz: mergedQuiz });
+  const combinedMaterials = {
+    summary,
+    summary_time_ranges: timeRanges,
+    flashcards: mergedFlashcards,
+    quiz: mergedQuiz,
+    hashtags: Array.from(new Set(
+      hashtags
+        .map(tag => String(tag).replace(/^#/, '').trim().toLowerCase())
+        .filter(Boolean)
+    )),
+    // Material-wide fields follow what was kept; the chunks' own guess at the level is only
+    // used when there are no questions to rate
+    difficulty_level: rateDifficulty(mergedQuiz) || Object.keys(difficultyVotes)
+      .sort((a, b) => difficultyVotes[b] - difficultyVotes[a])[0] || null,
+    estimated_study_time: studyMinutes > 0 ? String(studyMinutes) : null
+  };
+
+  onProgress({
+    step: 'dedupe',
+    status: 'completed',
+    message: `Kept ${combinedMaterials.flashcards.length} of ${flashcards.length} flashcards and ` +
+      `${combinedMaterials.quiz.length} of ${quiz.length} quiz questions`
+  });
+
+  return combinedMaterials;
+}
@@ -0,0 +1,139 @@
+import { chunkArray, delay, describeGenerationError, generateMoreMaterials } from '@/app/lib/generation';
+import { createGenerationRun, finishGenerationRun } from '@/app/lib/generationRuns';
+import { getMaterialChunks } from '@/app/lib/jobs';
+import { filterNewItems } from '@/app/lib/merge';
+import { splitContent } from '@/app/lib/chunking';
+import { getChunkTokenLimit } from '@/app/lib/llm';
+import { isUploadUrl } from '@/app/lib/uploads';
+import { extractContent, loadStudyMaterials, storeStudyItems } from '@/app/lib/studyMaterials';
+
+const CONCURRENCY_LIMIT = 3;
+
+// Extra items asked of each part, so dropping duplicates still leaves enough
+const EXTRA_PER_PART = 2;
+
+// The text a study material was generated from, in chunks: the stored chunks of its job, or
+// the source fetched again. Null for an upload whose text is no longer stored.
+async function getSourceChunks(studyMaterial) {
+  const stored = await getMaterialChunks(studyMaterial.id);
+  if (stored.length > 0) return stored;
+  if (isUploadUrl(studyMaterial.url)) return null;
+
+  const { content } = await extractContent(studyMaterial.url, {
+    userId: studyMaterial.user_id,
+    language: studyMaterial.transcript_language
+  });
+  return splitContent(content, { maxTokens: getChunkTokenLimit() }).map(chunk => chunk.content);
+}
+
+// Up to `count` items taken from each part in turn, so every part with something to add is
+// represented; returned in source order
+function takeInTurn(parts, count) {
+  const taken = parts.map(() => 0);
+  let total = 0;
+  let progressed = true;
+  while (total < count && progressed) {
+    progressed = false;
+    parts.forEach((items, index) => {
+      if (taken[index] < items.length && total < count) {
+        taken[index]++;
+        total++;
+        progressed = true;
+      }
+    });
+  }
+  return parts.flatMap((items, index) => items.slice(0, taken[index]));
+}
+
+// Generate more flashcards or quiz questions for one of the user's study materials following
+// `request` ({ type, count, instructions }, see parseMoreRequest). Items the material already
+// has are dropped, and the rest are stored under a new 'more' generation run; a run that adds
+// nothing ends as 'empty'. Resolves to { run, flashcards, quiz } with the stored rows it added,
+// or { error } when the source text is gone; throws when generation fails for every part.
+export async function generateMoreItems(studyMaterial, userId, { type, count, instructions }) {
+  const run = await createGenerationRun(userId, studyMaterial.id, {
+    kind: 'more',
+    item_type: type,
+    requested_count: count,
+    instructions
+  });
+
+  try {
+    const chunks = await getSourceChunks(studyMaterial);
+    if (!chunks) {
+      const error = 'The text of this upload is no longer stored. Upload it again to generate more.';
+      await finishGenerationRun(run.id, { status: 'failed', error });
+      return { error };
+    }
+
+    const existing = await loadStudyMaterials(studyMaterial);
+    const key = type === 'flashcards' ? 'flashcards' : 'quiz';
+    const perPart = Math.min(count, Math.ceil(count / chunks.length) + EXTRA_PER_PART);
+
+    const results = new Array(chunks.length).fill(null);
+    const failures = [];
+    const groups = chunkArray(chunks.map((content, index) => ({ content, index })), CONCURRENCY_LIMIT);
+    for (let i = 0; i < groups.length; i++) {
+      await Promise.all(groups[i].map(async ({ content, index }) => {
+        try {
+          results[index] = await generateMoreMaterials(content, {
+            type,
+            count: perPart,
+            instructions,
+            existing: existing[key].map(item => item.question),
+            part: { index, total: chunks.length },
+            outputLanguage: studyMaterial.output_language,
+            options: studyMaterial.generation_options
+          });
+        } catch (error) {
+          console.error(`Error generating more for chunk ${index + 1}:`, error);
+          failures.push(error);
+        }
+      }));
+
+      // Small delay between groups to avoid rate limits
+      if (i + 1 < groups.length) {
+        await delay(1000);
+      }
+    }
+
+    if (failures.length === chunks.length) {
+      throw failures[0];
+    }
+
+    // Each part is checked against the existing items and the parts before it
+    const accepted = { flashcards: [...existing.flashcards], quiz: [...existing.quiz] };
+    const fresh = results.map(result => {
+      if (!result) return [];
+      const items = filterNewItems(accepted, result)[key];
+      accepted[key].push(...items);
+      return items;
+    });
+
+    const added = takeInTurn(fresh, count);
+    const partsFailed = failures.length > 0 ? `${failures.length} of ${chunks.length} parts failed` : null;
+    if (added.length === 0) {
+      const finished = await finishGenerationRun(run.id, {
+        status: 'empty',
+        error: partsFailed || `Every generated ${type === 'flashcards' ? 'flashcard' : 'question'} was already there`
+      });
+      console.log(`Generation run ${run.id} found nothing new`);
+      return { run: finished, flashcards: [], quiz: [] };
+    }
+
+    const stored = await storeStudyItems(userId, studyMaterial.id, { [key]: added }, run.id);
+    const finished = await finishGenerationRun(run.id, {
+      status: 'done',
+      added_flashcards: stored.flashcards.length,
+      added_quizzes: stored.quiz.length,
+      error: partsFailed
+    });
+    console.log(`Generation run ${run.id} added ${stored.flashcards.length} flashcards and ${stored.quiz.length} quiz questions`);
+
+    return { run: finished, ...stored };
+  } catch (error) {
+    console.error(`Error in generation run ${run.id}:`, error);
+    await finishGenerationRun(run.id, { status: 'failed', error: describeGenerationError(error) });
+    throw error;
+  }
+}
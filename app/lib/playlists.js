@@ -0,0 +1,103 @@
+import { getCanonicalVideoUrl, getChannelRef, getPlaylistId } from '@/app/utils/youtube';
+import { youtubeApi } from '@/app/lib/youtubeApi';
+
+// One batch runs its videos one after another, so keep it to what finishes in reasonable time
+export const MAX_BATCH_SOURCES = 50;
+
+// Placeholders the API returns in place of videos the user cannot watch
+const UNAVAILABLE_TITLES = new Set(['Private video', 'Deleted video']);
+
+// A channel's uploads are a playlist of their own
+async function getChannelUploads({ id, handle }) {
+  const data = await youtubeApi('channels', {
+    part: 'snippet,contentDetails',
+    ...(id ? { id } : { forHandle: handle })
+  });
+
+  const channel = data.items?.[0];
+  if (!channel) {
+    throw new Error('Channel not found');
+  }
+  return {
+    playlistId: channel.contentDetails.relatedPlaylists.uploads,
+    title: channel.snippet.title
+  };
+}
+
+async function getPlaylistTitle(playlistId) {
+  const data = await youtubeApi('playlists', { part: 'snippet', id: playlistId });
+  const playlist = data.items?.[0];
+  if (!playlist) {
+    throw new Error('Playlist not found; is it private?');
+  }
+  return playlist.snippet.title;
+}
+
+// Videos of a playlist in playlist order, at most `limit`. Resolves to { videos, truncated }.
+async function listPlaylistVideos(playlistId, limit) {
+  const videos = [];
+  let pageToken;
+
+  do {
+    const data = await youtubeApi('playlistItems', {
+      part: 'snippet,contentDetails',
+      playlistId,
+      maxResults: 50,
+      pageToken
+    });
+
+    for (const item of data.items || []) {
+      const videoId = item.contentDetails?.videoId;
+      if (!videoId || UNAVAILABLE_TITLES.has(item.snippet?.title)) continue;
+      if (videos.length === limit) return { videos, truncated: true };
+      videos.push({ url: getCanonicalVideoUrl(videoId), title: item.snippet?.title || null });
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { videos, truncated: false };
+}
+
+export function isPlaylistUrl(url) {
+  return Boolean(getPlaylistId(url) || getChannelRef(url));
+}
+
+// Expand a playlist or channel link into its videos: { title, videos: [{ url, title }], truncated }
+export async function expandPlaylist(url, { limit = MAX_BATCH_SOURCES } = {}) {
+  const channel = getChannelRef(url);
+  const { playlistId, title } = channel
+    ? await getChannelUploads(channel)
+    : { playlistId: getPlaylistId(url), title: await getPlaylistTitle(getPlaylistId(url)) };
+
+  const { videos, truncated } = await listPlaylistVideos(playlistId, limit);
+  if (videos.length === 0) {
+    throw new Error(`${channel ? 'Channel' : 'Playlist'} has no videos that can be processed`);
+  }
+  return { title, videos, truncated };
+}
+
+// Links pasted one per line (or separated by spaces or commas), in order.
+// Resolves to { urls } or { error } naming the first entry that is not a link.
+export function parseBatchUrls(text) {
+  const entries = String(text || '').split(/[\s,]+/).filter(Boolean);
+  const urls = [];
+
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry);
+    } catch (error) {
+      return { error: `"${entry}" is not a link` };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: `"${entry}" is not a web link` };
+    }
+    urls.push(entry);
+  }
+
+  if (urls.length === 0) {
+    return { error: 'Paste a playlist or channel link, or at least one link' };
+  }
+  return { urls };
+}
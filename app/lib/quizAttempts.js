@@ -0,0 +1,171 @@
+import { supabase } from '@/app/lib/supabase';
+
+export async function createAttempt(userId, studyMaterialId) {
+  const { data: attempt, error } = await supabase
+    .from('quiz_attempts')
+    .insert([
+      {
+        user_id: userId,
+        study_material_id: studyMaterialId
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating quiz attempt:', error);
+    throw error;
+  }
+
+  return attempt;
+}
+
+// One of the user's practice attempts; exams are answered all at once through submitExam, so
+// they are never returned here
+export async function getAttempt(attemptId, userId) {
+  const { data: attempt, error } = await supabase
+    .from('quiz_attempts')
+    .select('*')
+    .eq('id', attemptId)
+    .eq('user_id', userId)
+    .eq('mode', 'practice')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching quiz attempt:', error);
+    throw error;
+  }
+
+  return attempt;
+}
+
+// Record one answer submission in a practice attempt; correctness is decided here, never by
+// the client. Null if the quiz is not part of the attempt or the attempt is an exam, whose
+// answers must not be checked one by one.
+export async function recordAnswer(attempt, { quizId, selectedOption, timeTakenMs }) {
+  if (attempt.mode !== 'practice') {
+    return null;
+  }
+
+  const { data: quiz, error: quizError } = await supabase
+    .from('quizzes')
+    .select('id, correct_answer, study_material_id')
+    .eq('id', quizId)
+    .eq('user_id', attempt.user_id)
+    .maybeSingle();
+
+  if (quizError) {
+    console.error('Error fetching quiz:', quizError);
+    throw quizError;
+  }
+  if (!quiz || quiz.study_material_id !== attempt.study_material_id) {
+    return null;
+  }
+
+  const isCorrect = selectedOption === quiz.correct_answer;
+  const { data: answer, error } = await supabase
+    .from('quiz_answers')
+    .insert([
+      {
+        attempt_id: attempt.id,
+        quiz_id: quiz.id,
+        user_id: attempt.user_id,
+        selected_option: selectedOption,
+        is_correct: isCorrect,
+        time_taken_ms: Number.isFinite(timeTakenMs) ? Math.round(timeTakenMs) : null
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording quiz answer:', error);
+    throw error;
+  }
+
+  return { answer, correctAnswer: quiz.correct_answer };
+}
+
+// Score an attempt on the first submission for each question, so retries don't inflate it
+export function scoreAttempt(answers) {
+  const firstAnswers = new Map();
+  for (const answer of [...answers].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))) {
+    if (!firstAnswers.has(answer.quiz_id)) {
+      firstAnswers.set(answer.quiz_id, answer);
+    }
+  }
+
+  const answered = firstAnswers.size;
+  const correct = Array.from(firstAnswers.values()).filter(answer => answer.is_correct).length;
+  const totalTimeMs = answers.reduce((sum, answer) => sum + (answer.time_taken_ms || 0), 0);
+
+  return {
+    answered,
+    correct,
+    score: answered > 0 ? Math.round((correct / answered) * 100) : 0,
+    totalTimeMs
+  };
+}
+
+// A user's attempts, newest first, each with its score and optionally its answers
+export async function listAttempts(userId, { studyMaterialId, includeAnswers = false } = {}) {
+  let query = supabase
+    .from('quiz_attempts')
+    .select(`
+      id,
+      study_material_id,
+      mode,
+      started_at,
+      completed_at,
+      score,
+      max_score,
+      quiz_answers (
+        quiz_id,
+        selected_option,
+        is_correct,
+        time_taken_ms,
+        created_at
+      )
+    `)
+    .eq('user_id', userId)
+    .order('started_at', { ascending: false });
+
+  if (studyMaterialId) {
+    query = query.eq('study_material_id', studyMaterialId);
+  }
+
+  const { data: attempts, error } = await query;
+  if (error) {
+    console.error('Error listing quiz attempts:', error);
+    throw error;
+  }
+
+  return (attempts || [])
+    // Attempts opened without answering anything carry no score
+    .filter(attempt => attempt.quiz_answers?.length > 0)
+    .map(({ quiz_answers: answers, score: examScore, ...attempt }) => ({
+      ...attempt,
+      ...scoreAttempt(answers),
+      // Exams also keep their marked score, which includes negative marking
+      ...(attempt.mode === 'exam' ? { examScore } : {}),
+      ...(includeAnswers ? { answers } : {})
+    }));
+}
+
+// Best and last practice attempt per study material, from attempts sorted newest first
+export function summarizeBySource(attempts) {
+  const sources = {};
+  for (const attempt of attempts) {
+    const key = attempt.study_material_id;
+    // Exams can span several sources and are reported on their own
+    if (attempt.mode === 'exam' || !key) continue;
+    if (!sources[key]) {
+      sources[key] = { attempts: 0, last: attempt, best: attempt };
+    }
+    sources[key].attempts += 1;
+    if (attempt.score > sources[key].best.score) {
+      sources[key].best = attempt;
+    }
+  }
+  return sources;
+}
@@ -0,0 +1,165 @@
+import { supabase } from '@/app/lib/supabase';
+
+const FLASHCARD_FIELDS = `
+  id,
+  study_material_id,
+  question,
+  answer,
+  start_seconds,
+  end_seconds,
+  page_start,
+  page_end,
+  flagged_at,
+  edited_at,
+  generation_run_id
+`;
+
+const QUIZ_FIELDS = `
+  id,
+  study_material_id,
+  question,
+  options,
+  correct_answer,
+  difficulty,
+  start_seconds,
+  end_seconds,
+  page_start,
+  page_end,
+  flagged_at,
+  edited_at,
+  generation_run_id
+`;
+
+// Table, returned columns and stored columns of each kind of item; items are validated
+// with parseFlashcard and parseQuizQuestion before they get here
+const ITEM_TYPES = {
+  flashcard: {
+    table: 'flashcards',
+    fields: FLASHCARD_FIELDS,
+    toColumns: ({ question, answer }) => ({ question, answer })
+  },
+  quiz: {
+    table: 'quizzes',
+    fields: QUIZ_FIELDS,
+    toColumns: ({ question, options, correctAnswer, difficulty }) => ({
+      question,
+      options,
+      correct_answer: correctAnswer,
+      difficulty
+    })
+  }
+};
+
+// Add a hand-written item to one of the user's study materials; null if the material is not theirs
+export async function createStudyItem(type, userId, studyMaterialId, item) {
+  const { table, fields, toColumns } = ITEM_TYPES[type];
+
+  const { data: material, error: materialError } = await supabase
+    .from('study_materials')
+    .select('id')
+    .eq('id', studyMaterialId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (materialError) {
+    console.error('Error fetching study material:', materialError);
+    throw materialError;
+  }
+  if (!material) return null;
+
+  const { data: row, error } = await supabase
+    .from(table)
+    .insert([{ ...toColumns(item), study_material_id: material.id, user_id: userId }])
+    .select(fields)
+    .single();
+
+  if (error) {
+    console.error(`Error creating ${type}:`, error);
+    throw error;
+  }
+
+  return row;
+}
+
+// Replace the text of one of the user's items; an edit counts as the fix for an earlier
+// report, so the flag is cleared. Null if the item is not theirs.
+export async function updateStudyItem(type, userId, itemId, item) {
+  const { table, fields, toColumns } = ITEM_TYPES[type];
+
+  const { data: row, error } = await supabase
+    .from(table)
+    .update({ ...toColumns(item), flagged_at: null, edited_at: new Date().toISOString() })
+    .eq('id', itemId)
+    .eq('user_id', userId)
+    .select(fields)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error updating ${type}:`, error);
+    throw error;
+  }
+
+  return row;
+}
+
+// Delete one of the user's items; resolves to whether there was one to delete
+export async function deleteStudyItem(type, userId, itemId) {
+  const { data, error } = await supabase
+    .from(ITEM_TYPES[type].table)
+    .delete()
+    .eq('id', itemId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) {
+    console.error(`Error deleting ${type}:`, error);
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+// Record a "flag as wrong" report with a copy of the item as it is now, so the report
+// still makes sense after the item is edited or deleted. Resolves to { report, item } with
+// the flagged item, or null if the item is not theirs.
+export async function reportStudyItem(type, userId, itemId, reason) {
+  const { table, fields } = ITEM_TYPES[type];
+
+  const { data: row, error: flagError } = await supabase
+    .from(table)
+    .update({ flagged_at: new Date().toISOString() })
+    .eq('id', itemId)
+    .eq('user_id', userId)
+    .select(fields)
+    .maybeSingle();
+
+  if (flagError) {
+    console.error(`Error flagging ${type}:`, flagError);
+    throw flagError;
+  }
+  if (!row) return null;
+
+  const { data: report, error } = await supabase
+    .from('item_reports')
+    .insert([
+      {
+        user_id: userId,
+        item_type: type,
+        item_id: row.id,
+        study_material_id: row.study_material_id,
+        reason,
+        snapshot: row
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error storing item report:', error);
+    throw error;
+  }
+
+  console.log(`Reported ${type} ${row.id} as wrong`);
+  return { report, item: row };
+}
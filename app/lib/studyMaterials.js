@@ -0,0 +1,549 @@
+import { supabase } from '@/app/lib/supabase';
+import {
+  getCanonicalVideoUrl,
+  getChannelRef,
+  getPlaylistId,
+  getVideoId,
+  getVideoThumbnail,
+  isYouTubeUrl
+} from '@/app/utils/youtube';
+import { getTranscript } from '@/app/lib/transcripts';
+import { createGenerationRun, listGenerationRuns } from '@/app/lib/generationRuns';
+import { getVideoMetadata } from '@/app/lib/youtubeApi';
+import { getArticleContent } from '@/app/utils/article';
+import { normalizeDifficulty } from '@/app/utils/difficulty';
+import { sameGenerationOptions } from '@/app/utils/generationOptions';
+import { toFlashcard, toQuizQuestion } from '@/app/utils/studyItems';
+
+// How long a deleted study material can be restored before it is removed for good
+export const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Newest versions of a link checked for matching generation options, which are compared here
+const EXISTING_CANDIDATES = 20;
+
+// Tracking parameters that never change the page content
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|si|feature)$/i;
+
+// Normalize a URL so re-submits of the same content share one cache key; every link form
+// of a YouTube video becomes its canonical watch URL
+export function normalizeUrl(url) {
+  const videoId = getVideoId(url);
+  if (videoId) {
+    return getCanonicalVideoUrl(videoId);
+  }
+
+  try {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    urlObj.hostname = urlObj.hostname.toLowerCase();
+    for (const key of Array.from(urlObj.searchParams.keys())) {
+      if (TRACKING_PARAMS.test(key)) urlObj.searchParams.delete(key);
+    }
+    let normalized = urlObj.toString();
+    if (normalized.endsWith('/') && urlObj.pathname !== '/') {
+      normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Whether a stored material was made in the languages and with the generation options asked
+// for ({ transcriptLanguage, outputLanguage, generationOptions }); unset ones match any
+export function matchesSettings(material, { transcriptLanguage, outputLanguage, generationOptions } = {}) {
+  return (!transcriptLanguage || material.transcript_language === transcriptLanguage) &&
+    (!outputLanguage || material.output_language === outputLanguage) &&
+    (!generationOptions || sameGenerationOptions(material.generation_options, generationOptions));
+}
+
+// Find the latest study material for a URL, for this user or (when userId is null) anyone, that
+// matches `settings` (see matchesSettings); one link can have a version per language and set of
+// options. Materials in the trash are left out.
+export async function checkExistingContent(urls, userId = null, settings = {}) {
+  let query = supabase
+    .from('study_materials')
+    .select('*')
+    .in('url', urls)
+    .is('deleted_at', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+  if (settings.transcriptLanguage) {
+    query = query.eq('transcript_language', settings.transcriptLanguage);
+  }
+  if (settings.outputLanguage) {
+    query = query.eq('output_language', settings.outputLanguage);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(EXISTING_CANDIDATES);
+
+  if (error) {
+    console.error('Error checking existing content:', error);
+    return null;
+  }
+
+  return (data || []).find(material => matchesSettings(material, settings)) ?? null;
+}
+
+// Get one study material row by id
+export async function getStudyMaterial(studyMaterialId) {
+  const { data, error } = await supabase
+    .from('study_materials')
+    .select('*')
+    .eq('id', studyMaterialId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching study material:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+// Load the stored flashcards, quiz and hashtags of a study material in the generated shape,
+// with the generation runs its items came from
+export async function loadStudyMaterials(studyMaterial) {
+  const [flashcards, quizzes, hashtags, generationRuns] = await Promise.all([
+    supabase
+      .from('flashcards')
+      .select('id, question, answer, start_seconds, end_seconds, page_start, page_end, flagged_at, edited_at, generation_run_id')
+      .eq('study_material_id', studyMaterial.id)
+      .order('id', { ascending: true }),
+    supabase
+      .from('quizzes')
+      .select('id, question, options, correct_answer, difficulty, start_seconds, end_seconds, page_start, page_end, flagged_at, edited_at, generation_run_id')
+      .eq('study_material_id', studyMaterial.id)
+      .order('id', { ascending: true }),
+    supabase
+      .from('hashtags')
+      .select('tag')
+      .eq('study_material_id', studyMaterial.id),
+    listGenerationRuns(studyMaterial.id)
+  ]);
+
+  const loadError = flashcards.error || quizzes.error || hashtags.error;
+  if (loadError) {
+    console.error('Error loading cached study materials:', loadError);
+    throw loadError;
+  }
+
+  return {
+    id: studyMaterial.id,
+    url: studyMaterial.url,
+    title: studyMaterial.title ?? null,
+    channel: studyMaterial.channel ?? null,
+    duration_seconds: studyMaterial.duration_seconds ?? null,
+    published_at: studyMaterial.published_at ?? null,
+    transcript_language: studyMaterial.transcript_language ?? null,
+    output_language: studyMaterial.output_language ?? null,
+    summary: studyMaterial.summary || [],
+    summary_time_ranges: studyMaterial.summary_time_ranges || [],
+    flashcards: (flashcards.data || []).map(toFlashcard),
+    quiz: (quizzes.data || []).map(toQuizQuestion),
+    hashtags: (hashtags.data || []).map(h => h.tag),
+    difficulty_level: studyMaterial.difficulty_level,
+    estimated_study_time: studyMaterial.estimated_study_time,
+    summary_limit: studyMaterial.summary_limit ?? null,
+    generation_options: studyMaterial.generation_options ?? null,
+    generation_runs: generationRuns
+  };
+}
+
+// The study materials of another user's source that may be copied for someone else: only the
+// items of its initial generation, leaving out what that user wrote, edited, reported or
+// generated later.
+// Null for a material from before generation runs, whose generated items cannot be told apart.
+export async function loadSharedMaterials(studyMaterial) {
+  const materials = await loadStudyMaterials(studyMaterial);
+  const initialRun = materials.generation_runs.find(run => run.kind === 'initial');
+  if (!initialRun) return null;
+
+  // Items with an open report (flagged and not edited since) may be wrong, so they stay behind
+  const isOriginal = item => item.generationRunId === initialRun.id && !item.edited && !item.flagged;
+  return {
+    ...materials,
+    flashcards: materials.flashcards.filter(isOriginal),
+    quiz: materials.quiz.filter(isOriginal)
+  };
+}
+
+// Every study material of a user, newest first, with the text needed for library search
+export async function listStudyMaterials(userId) {
+  const { data, error } = await supabase
+    .from('study_materials')
+    .select(`
+      id,
+      url,
+      title,
+      channel,
+      duration_seconds,
+      published_at,
+      transcript_language,
+      output_language,
+      thumbnail,
+      summary,
+      difficulty_level,
+      estimated_study_time,
+      created_at,
+      hashtags (
+        tag
+      ),
+      flashcards (
+        question,
+        answer
+      ),
+      quizzes (
+        question
+      )
+    `)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error listing study materials:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+// Filter listed materials by a tag and by search terms found in summaries, flashcards or questions
+export function searchStudyMaterials(materials, { query = '', tag = '' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const wantedTag = tag.replace(/^#/, '').trim().toLowerCase();
+
+  return materials.filter(material => {
+    const tags = (material.hashtags || []).map(h => h.tag);
+    if (wantedTag && !tags.includes(wantedTag)) return false;
+    if (terms.length === 0) return true;
+
+    const haystack = [
+      material.title,
+      material.channel,
+      material.url,
+      ...(material.summary || []),
+      ...tags,
+      ...(material.flashcards || []).flatMap(card => [card.question, card.answer]),
+      ...(material.quizzes || []).map(quiz => quiz.question)
+    ].join('\n').toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+// Remove a user's study material and the rows generated from it for good, in one
+// transaction. Resolves to whether the user had such a material.
+export async function removeStudyMaterial(studyMaterialId, userId) {
+  const { data: removed, error } = await supabase
+    .rpc('delete_study_material', { material_id: studyMaterialId, owner_id: userId });
+
+  if (error) {
+    console.error('Error removing study material:', error);
+    throw error;
+  }
+
+  return removed;
+}
+
+// When a material in the trash is removed for good
+function getPurgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_MS).toISOString();
+}
+
+// Move one of the user's study materials to the trash, hiding it everywhere until it is
+// restored. Resolves to { id, deleted_at, purge_at }, or null if the user has no such material.
+export async function trashStudyMaterial(studyMaterialId, userId) {
+  const { data: material, error } = await supabase
+    .from('study_materials')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', studyMaterialId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select('id, deleted_at')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error moving study material to trash:', error);
+    throw error;
+  }
+
+  return material && { ...material, purge_at: getPurgeDate(material.deleted_at) };
+}
+
+// Take a study material out of the trash. Resolves to { material }, { error } when the link
+// has been processed again since (restoring would leave two copies), or null if the trash
+// holds no such material.
+export async function restoreStudyMaterial(studyMaterialId, userId) {
+  const material = await getStudyMaterial(studyMaterialId);
+  if (!material || material.user_id !== userId || !material.deleted_at) {
+    return null;
+  }
+
+  const version = {
+    transcriptLanguage: material.transcript_language,
+    outputLanguage: material.output_language,
+    generationOptions: material.generation_options
+  };
+  if (await checkExistingContent([material.url], userId, version)) {
+    return { error: 'This link was processed again in the same version after it was deleted; delete the newer copy first' };
+  }
+
+  const { data: restored, error } = await supabase
+    .from('study_materials')
+    .update({ deleted_at: null })
+    .eq('id', studyMaterialId)
+    .eq('user_id', userId)
+    .select('id, url, title')
+    .single();
+
+  if (error) {
+    console.error('Error restoring study material:', error);
+    throw error;
+  }
+
+  return { material: restored };
+}
+
+// Remove the user's materials that have been in the trash for longer than TRASH_RETENTION_DAYS
+async function purgeExpiredTrash(userId) {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_MS).toISOString();
+  const { data: expired, error } = await supabase
+    .from('study_materials')
+    .select('id')
+    .eq('user_id', userId)
+    .lt('deleted_at', cutoff);
+
+  if (error) {
+    console.error('Error finding expired trash:', error);
+    throw error;
+  }
+
+  for (const { id } of expired || []) {
+    await removeStudyMaterial(id, userId);
+  }
+  if (expired?.length > 0) {
+    console.log(`Purged ${expired.length} study materials from the trash of ${userId}`);
+  }
+}
+
+// The user's trash, most recently deleted first, with the date each material is removed
+// for good. Materials past that date are purged on the way.
+export async function listTrash(userId) {
+  await purgeExpiredTrash(userId);
+
+  const { data, error } = await supabase
+    .from('study_materials')
+    .select('id, url, title, thumbnail, created_at, deleted_at')
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .order('deleted_at', { ascending: false });
+
+  if (error) {
+    console.error('Error listing trash:', error);
+    throw error;
+  }
+
+  return (data || []).map(material => ({ ...material, purge_at: getPurgeDate(material.deleted_at) }));
+}
+
+// Fetch the text to study from a URL along with its thumbnail and title; videos also get
+// their channel, duration and publish date as `metadata`, and the transcript's `language`
+// (the requested `language` if the video has captions in it). For videos the user's own
+// uploaded captions are the last transcript source tried.
+export async function extractContent(url, { userId = null, language = null } = {}) {
+  try {
+    if (isYouTubeUrl(url)) {
+      const videoId = getVideoId(url);
+      if (!videoId) {
+        throw new Error(getPlaylistId(url) || getChannelRef(url)
+          ? 'This is a playlist or channel link; process it as a playlist instead'
+          : 'Invalid YouTube URL');
+      }
+
+      const [transcript, { title, ...metadata }] = await Promise.all([
+        getTranscript(videoId, { userId, language }),
+        getVideoMetadata(videoId)
+      ]);
+      return {
+        content: transcript.text,
+        thumbnail: getVideoThumbnail(videoId),
+        title,
+        metadata,
+        language: transcript.language
+      };
+    }
+
+    const article = await getArticleContent(url);
+
+    // Keep title and author in front of the body so the model has the context
+    const header = [
+      article.title && `Title: ${article.title}`,
+      article.author && `Author: ${article.author}`
+    ].filter(Boolean).join('\n');
+
+    return {
+      content: header ? `${header}\n\n${article.content}` : article.content,
+      thumbnail: article.image,
+      title: article.title,
+      author: article.author
+    };
+  } catch (error) {
+    console.error('Error extracting content:', error);
+    throw new Error('Failed to extract content from URL: ' + error.message);
+  }
+}
+
+// Add generated flashcards and quiz questions to a study material, marked with the generation
+// run they came from. Resolves to the stored rows as { flashcards, quiz }.
+export async function storeStudyItems(userId, studyMaterialId, { flashcards = [], quiz = [] }, generationRunId) {
+  const located = item => ({
+    study_material_id: studyMaterialId,
+    generation_run_id: generationRunId,
+    start_seconds: item.timeRange?.start ?? null,
+    end_seconds: item.timeRange?.end ?? null,
+    page_start: item.pageRange?.start ?? null,
+    page_end: item.pageRange?.end ?? null,
+    user_id: userId
+  });
+
+  let flashcardRows = [];
+  if (flashcards.length > 0) {
+    console.log('Storing flashcards:', flashcards.length);
+    const { data, error } = await supabase
+      .from('flashcards')
+      .insert(flashcards.map(card => ({
+        ...located(card),
+        question: card.question,
+        answer: card.answer
+      })))
+      .select()
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Error storing flashcards:', error);
+      throw error;
+    }
+    flashcardRows = data || [];
+  }
+
+  let quizRows = [];
+  if (quiz.length > 0) {
+    console.log('Storing quizzes:', quiz.length);
+    const { data, error } = await supabase
+      .from('quizzes')
+      .insert(quiz.map(q => ({
+        ...located(q),
+        question: q.question,
+        options: q.options,
+        correct_answer: q.correctAnswer,
+        difficulty: normalizeDifficulty(q.difficulty)
+      })))
+      .select()
+      .order('id', { ascending: true });
+
+    if (error) {
+      console.error('Error storing quizzes:', error);
+      throw error;
+    }
+    quizRows = data || [];
+  }
+
+  return { flashcards: flashcardRows, quiz: quizRows };
+}
+
+export async function storeStudyMaterials(userId, url, materials, thumbnail) {
+  try {
+    // Log the initial materials
+    console.log('Raw materials received:', {
+      summary: materials.summary?.length,
+      flashcards: materials.flashcards?.length,
+      quiz: materials.quiz?.length,
+      hashtags: materials.hashtags?.length
+    });
+
+    if (materials.quiz?.length > 0) {
+      console.log('First quiz item for reference:', materials.quiz[0]);
+    }
+
+    // Store main study material
+    const { data: studyMaterial, error: studyError } = await supabase
+      .from('study_materials')
+      .insert([
+        {
+        user_id: userId,
+        url,
+        title: materials.title ?? null,
+        channel: materials.channel ?? null,
+        duration_seconds: materials.duration_seconds ?? null,
+        published_at: materials.published_at ?? null,
+        transcript_language: materials.transcript_language ?? null,
+        output_language: materials.output_language ?? null,
+        thumbnail,
+        summary: materials.summary,
+        summary_time_ranges: materials.summary_time_ranges || null,
+        created_at: new Date().toISOString(),
+        difficulty_level: materials.difficulty_level,
+        estimated_study_time: materials.estimated_study_time,
+        summary_limit: materials.summary_limit ?? null,
+        generation_options: materials.generation_options ?? null
+      }
+      ])
+      .select()
+      .single();
+
+    if (studyError) {
+      console.error('Error storing study material:', studyError);
+      throw studyError;
+    }
+
+    console.log('Successfully stored study material with ID:', studyMaterial.id);
+
+    const run = await createGenerationRun(userId, studyMaterial.id, {
+      kind: 'initial',
+      status: 'done',
+      added_flashcards: materials.flashcards?.length || 0,
+      added_quizzes: materials.quiz?.length || 0,
+      completed_at: new Date().toISOString()
+    });
+    await storeStudyItems(userId, studyMaterial.id, materials, run.id);
+
+    // Store hashtags
+    if (materials.hashtags?.length > 0) {
+      console.log('Storing hashtags:', materials.hashtags.length);
+      const { error: hashtagsError } = await supabase
+        .from('hashtags')
+        .insert(
+          materials.hashtags.map(tag => ({
+            study_material_id: studyMaterial.id,
+            tag: tag.toLowerCase(),
+            user_id: userId
+          }))
+        );
+
+      if (hashtagsError) {
+        console.error('Error storing hashtags:', hashtagsError);
+        throw hashtagsError;
+      }
+      console.log('Successfully stored hashtags');
+    }
+
+    return studyMaterial.id;
+  } catch (error) {
+    console.error('Error storing study materials:', error);
+    // Log the full error details
+    console.error('Full error details:', {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,299 @@
+import { QUIZ_DIFFICULTIES } from '@/app/utils/difficulty';
+import { parseTimestamp } from '@/app/utils/timestamps';
+import { parsePageNumber } from '@/app/utils/pages';
+import { MAX_QUIZ_OPTIONS, MIN_QUIZ_OPTIONS } from '@/app/utils/studyItems';
+
+// Where in a timestamped transcript or paged document an item comes from; empty for other content
+const TIME_FIELDS = {
+  start: {
+    type: 'string',
+    description: 'Timestamp marker (like 1:23) or page/slide number where this is first discussed, or an empty string'
+  },
+  end: {
+    type: 'string',
+    description: 'Timestamp marker or page/slide number where the discussion ends, or an empty string'
+  }
+};
+
+// The shape every provider is asked to return. Written in the JSON Schema subset that both
+// OpenAI strict structured outputs and Gemini's responseSchema accept.
+export const STUDY_MATERIALS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'array',
+      description: 'Key points of the content, one per entry',
+      items: {
+        type: 'object',
+        properties: {
+          point: { type: 'string' },
+          ...TIME_FIELDS
+        },
+        required: ['point', 'start', 'end'],
+        additionalProperties: false
+      }
+    },
+    flashcards: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          question: { type: 'string' },
+          answer: { type: 'string' },
+          ...TIME_FIELDS
+        },
+        required: ['question', 'answer', 'start', 'end'],
+        additionalProperties: false
+      }
+    },
+    quiz: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          question: { type: 'string' },
+          options: {
+            type: 'array',
+            description: 'Four answer choices',
+            items: { type: 'string' }
+          },
+          correctAnswer: {
+            type: 'string',
+            description: 'Exact text of the correct option'
+          },
+          difficulty: { type: 'string', enum: QUIZ_DIFFICULTIES },
+          ...TIME_FIELDS
+        },
+        required: ['question', 'options', 'correctAnswer', 'difficulty', 'start', 'end'],
+        additionalProperties: false
+      }
+    },
+    hashtags: {
+      type: 'array',
+      description: 'Topic tags without the # sign',
+      items: { type: 'string' }
+    },
+    difficulty_level: {
+      type: 'string',
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    estimated_study_time: {
+      type: 'string',
+      description: 'Minutes needed to study this content'
+    }
+  },
+  required: ['summary', 'flashcards', 'quiz', 'hashtags', 'difficulty_level', 'estimated_study_time'],
+  additionalProperties: false
+};
+
+// Thrown when a response cannot be used at all; `issues` lists every problem found
+export class StudyMaterialsValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'StudyMaterialsValidationError';
+    this.issues = issues;
+  }
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Models often wrap JSON in a markdown fence when they are not in JSON mode
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return match ? match[1] : text;
+}
+
+export function parseStudyMaterialsJSON(text) {
+  try {
+    return JSON.parse(stripCodeFence(String(text ?? '')));
+  } catch (error) {
+    throw new StudyMaterialsValidationError(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+// { start, end } in seconds from an item's timestamp markers; null when it has none.
+// Timing is optional, so bad markers are dropped without reporting an issue.
+function parseTimeRange(item) {
+  const start = parseTimestamp(item.start);
+  if (start === null) return null;
+  const end = parseTimestamp(item.end);
+  return { start, end: end !== null && end >= start ? end : start };
+}
+
+// { start, end } page or slide numbers, for items from a PDF or slide deck
+function parsePageRange(item) {
+  const start = parsePageNumber(item.start);
+  if (start === null) return null;
+  const end = parsePageNumber(item.end);
+  return { start, end: end !== null && end >= start ? end : start };
+}
+
+// Summary points are { point, start, end }; plain strings are accepted too
+function validateSummaryPoint(value, path, issues) {
+  if (typeof value === 'string') {
+    return isText(value) ? { text: value.trim(), timeRange: null } : validateString(value, path, issues);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    issues.push({ path, message: `expected an object, got ${describeType(value)}` });
+    return null;
+  }
+  const text = validateString(value.point, `${path}.point`, issues);
+  return text ? { text, timeRange: parseTimeRange(value) } : null;
+}
+
+function validateFlashcard(card, path, issues) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    issues.push({ path, message: `expected an object, got ${describeType(card)}` });
+    return null;
+  }
+  let valid = true;
+  for (const field of ['question', 'answer']) {
+    if (!isText(card[field])) {
+      issues.push({ path: `${path}.${field}`, message: 'must be a non-empty string' });
+      valid = false;
+    }
+  }
+  return valid
+    ? {
+        question: card.question.trim(),
+        answer: card.answer.trim(),
+        timeRange: parseTimeRange(card),
+        pageRange: parsePageRange(card)
+      }
+    : null;
+}
+
+function validateQuizItem(item, path, issues) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    issues.push({ path, message: `expected an object, got ${describeType(item)}` });
+    return null;
+  }
+
+  let valid = true;
+  if (!isText(item.question)) {
+    issues.push({ path: `${path}.question`, message: 'must be a non-empty string' });
+    valid = false;
+  }
+
+  const options = Array.isArray(item.options)
+    ? Array.from(new Set(item.options.filter(isText).map(option => option.trim())))
+    : [];
+  if (!Array.isArray(item.options)) {
+    issues.push({ path: `${path}.options`, message: `expected an array, got ${describeType(item.options)}` });
+    valid = false;
+  } else if (options.length < MIN_QUIZ_OPTIONS || options.length > MAX_QUIZ_OPTIONS) {
+    issues.push({
+      path: `${path}.options`,
+      message: `must hold ${MIN_QUIZ_OPTIONS}-${MAX_QUIZ_OPTIONS} distinct non-empty strings, got ${options.length}`
+    });
+    valid = false;
+  }
+
+  // Accept an answer that differs from its option only in case or surrounding whitespace
+  const answer = isText(item.correctAnswer) ? item.correctAnswer.trim() : null;
+  const correctAnswer = answer && options.find(option => option.toLowerCase() === answer.toLowerCase());
+  if (!answer) {
+    issues.push({ path: `${path}.correctAnswer`, message: 'must be a non-empty string' });
+    valid = false;
+  } else if (valid && !correctAnswer) {
+    issues.push({ path: `${path}.correctAnswer`, message: `"${answer}" is not one of the options` });
+    valid = false;
+  }
+
+  if (!valid) return null;
+
+  let difficulty = typeof item.difficulty === 'string' ? item.difficulty.trim().toLowerCase() : '';
+  if (!QUIZ_DIFFICULTIES.includes(difficulty)) {
+    // Not worth dropping the question over; fall back to medium
+    issues.push({
+      path: `${path}.difficulty`,
+      message: `must be one of ${QUIZ_DIFFICULTIES.join(', ')}; using medium`
+    });
+    difficulty = 'medium';
+  }
+
+  return {
+    question: item.question.trim(),
+    options,
+    correctAnswer,
+    difficulty,
+    timeRange: parseTimeRange(item),
+    pageRange: parsePageRange(item)
+  };
+}
+
+function validateList(value, key, validateItem, issues) {
+  if (value === undefined) {
+    issues.push({ path: key, message: 'is missing' });
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    issues.push({ path: key, message: `expected an array, got ${describeType(value)}` });
+    return [];
+  }
+  return value
+    .map((item, index) => validateItem(item, `${key}[${index}]`, issues))
+    .filter(Boolean);
+}
+
+function validateString(value, path, issues) {
+  if (isText(value)) return value.trim();
+  issues.push({ path, message: 'must be a non-empty string' });
+  return null;
+}
+
+// Check a parsed response field by field. Malformed entries are dropped (and reported) so one
+// bad flashcard or question does not throw away the rest of the chunk.
+// Returns { materials, issues }; throws StudyMaterialsValidationError if nothing usable remains,
+// unless `allowEmpty` says an empty reply is a valid answer.
+export function validateStudyMaterials(data, { allowEmpty = false } = {}) {
+  const issues = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new StudyMaterialsValidationError(
+      `Expected a JSON object, got ${describeType(data)}`,
+      [{ path: '$', message: `expected an object, got ${describeType(data)}` }]
+    );
+  }
+
+  const summary = validateList(data.summary, 'summary', validateSummaryPoint, issues);
+  const materials = {
+    summary: summary.map(point => point.text),
+    summary_time_ranges: summary.map(point => point.timeRange),
+    flashcards: validateList(data.flashcards, 'flashcards', validateFlashcard, issues),
+    quiz: validateList(data.quiz, 'quiz', validateQuizItem, issues),
+    hashtags: validateList(data.hashtags, 'hashtags', (tag, path) => validateString(tag, path, issues), issues)
+      .map(tag => tag.replace(/^#/, '')),
+    difficulty_level: isText(data.difficulty_level) ? data.difficulty_level.trim().toLowerCase() : null,
+    estimated_study_time: null
+  };
+
+  const minutes = parseInt(data.estimated_study_time, 10);
+  if (Number.isFinite(minutes) && minutes > 0) {
+    materials.estimated_study_time = String(minutes);
+  } else if (data.estimated_study_time !== undefined) {
+    issues.push({ path: 'estimated_study_time', message: 'must be a positive number of minutes' });
+  }
+
+  if (!allowEmpty &&
+      materials.summary.length === 0 && materials.flashcards.length === 0 && materials.quiz.length === 0) {
+    throw new StudyMaterialsValidationError('Response has no usable summary, flashcards or quiz questions', issues);
+  }
+
+  return { materials, issues };
+}
+
+export function formatIssues(issues, limit = 5) {
+  const shown = issues.slice(0, limit).map(issue => `${issue.path} ${issue.message}`);
+  if (issues.length > limit) {
+    shown.push(`and ${issues.length - limit} more`);
+  }
+  return shown.join('; ');
+}
@@ -0,0 +1,12 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Server-only: the service role key bypasses row level security and storage policies, so it
+// must never use the NEXT_PUBLIC_ prefix
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+});
+
+export { supabaseAdmin };
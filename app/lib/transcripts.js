@@ -0,0 +1,248 @@
+import axios from 'axios';
+import { YoutubeTranscript } from 'youtube-transcript';
+import { supabase } from '@/app/lib/supabase';
+import { formatTranscript } from '@/app/utils/timestamps';
+
+// Same limit as article fetches, so a slow upstream never holds a request open
+const FETCH_TIMEOUT_MS = 15000;
+
+// Thrown when every transcript source failed; `attempts` holds each source's error
+export class TranscriptUnavailableError extends Error {
+  constructor(videoId, attempts) {
+    super(
+      `No transcript available for video ${videoId}. ` +
+      attempts.map(({ source, error }) => `${source}: ${error}`).join('; ') +
+      '. Upload the video\'s captions to process it anyway.'
+    );
+    this.name = 'TranscriptUnavailableError';
+    this.videoId = videoId;
+    this.attempts = attempts;
+  }
+}
+
+// youtube-transcript returns caption XML text, which is HTML-escaped (sometimes twice)
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Caption tracks straight from YouTube, no API key needed
+async function fetchFromYouTube(videoId, { language }) {
+  const items = await YoutubeTranscript.fetchTranscript(videoId, language ? { lang: language } : undefined);
+  if (!items?.length) {
+    throw new Error('Transcript is empty');
+  }
+
+  return {
+    language: items[0].lang || null,
+    segments: items.map(item => ({
+      start: item.offset,
+      duration: item.duration,
+      text: decodeEntities(item.text)
+    }))
+  };
+}
+
+// RapidAPI youtube-transcriptor. Without a requested language it takes English, or the
+// first available language if the video has no English transcript.
+async function fetchFromRapidApi(videoId, { language }) {
+  if (!process.env.RAPIDAPI_KEY) {
+    throw new Error('RAPIDAPI_KEY is not configured');
+  }
+
+  const options = {
+    method: 'GET',
+    url: 'https://youtube-transcriptor.p.rapidapi.com/transcript',
+    params: {
+      video_id: videoId,
+      lang: language || ''
+    },
+    headers: {
+      'x-rapidapi-key': process.env.RAPIDAPI_KEY,
+      'x-rapidapi-host': 'youtube-transcriptor.p.rapidapi.com'
+    },
+    timeout: FETCH_TIMEOUT_MS
+  };
+
+  let response = await axios.request(options);
+
+  if (!language &&
+      response.data?.error === 'This language is not available on this video.' &&
+      Array.isArray(response.data?.availableLangs) &&
+      response.data.availableLangs.length > 0) {
+    console.log('English not available, trying with language:', response.data.availableLangs[0]);
+    options.params.lang = response.data.availableLangs[0];
+    response = await axios.request(options);
+  }
+
+  if (!Array.isArray(response.data) || response.data.length === 0) {
+    throw new Error(response.data?.error || 'Invalid response from transcript service');
+  }
+
+  const transcriptData = response.data[0];
+  if (!Array.isArray(transcriptData.transcription)) {
+    throw new Error('No transcript available for this video');
+  }
+
+  return {
+    language: options.params.lang || 'en',
+    segments: transcriptData.transcription.map(item => ({
+      start: Number(item.start) || 0,
+      duration: Number(item.dur) || 0,
+      text: String(item.subtitle || '')
+    }))
+  };
+}
+
+// Captions the user uploaded for this video, whatever language was requested: uploading
+// them is already the user's choice
+async function fetchUploadedCaptions(videoId, { userId }) {
+  if (!userId) {
+    throw new Error('No user to look up uploaded captions for');
+  }
+
+  const { data, error } = await supabase
+    .from('caption_uploads')
+    .select('segments, language')
+    .eq('user_id', userId)
+    .eq('video_id', videoId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw new Error('No captions uploaded for this video');
+  }
+
+  return { language: data.language, segments: data.segments };
+}
+
+// Tried in order; only public sources are cached, uploads stay private to their owner
+const TRANSCRIPT_SOURCES = [
+  { name: 'youtube', fetch: fetchFromYouTube, cache: true },
+  { name: 'rapidapi', fetch: fetchFromRapidApi, cache: true },
+  { name: 'uploaded captions', fetch: fetchUploadedCaptions, cache: false }
+];
+
+// Cached transcripts are kept per language; without a language any cached one will do
+async function getCachedTranscript(videoId, language) {
+  let query = supabase
+    .from('transcripts')
+    .select('source, language, segments')
+    .eq('video_id', videoId);
+  if (language) {
+    query = query.eq('language', language);
+  }
+
+  const { data, error } = await query
+    .order('fetched_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    // A broken cache should never block processing
+    console.error('Error reading transcript cache:', error);
+    return null;
+  }
+  return data && { ...data, language: data.language || null };
+}
+
+async function cacheTranscript(videoId, source, { language, segments }) {
+  const { error } = await supabase
+    .from('transcripts')
+    .upsert({
+      video_id: videoId,
+      source,
+      language: language || '',
+      segments,
+      fetched_at: new Date().toISOString()
+    }, { onConflict: 'video_id,language' });
+
+  if (error) {
+    console.error('Error caching transcript:', error);
+  }
+}
+
+function toTranscript({ source, language, segments }) {
+  return { text: formatTranscript(segments), source, language, segments };
+}
+
+// Transcript of a video as "[m:ss] text" lines, from the cache or the first source that has one.
+// `language` asks for a caption track in that language; without it the video's default is used.
+// Resolves to { text, source, language, segments }; throws TranscriptUnavailableError otherwise.
+export async function getTranscript(videoId, { userId = null, language = null } = {}) {
+  const cached = await getCachedTranscript(videoId, language);
+  if (cached?.segments?.length > 0) {
+    console.log(`Using cached ${cached.source} transcript for ${videoId}`);
+    return toTranscript(cached);
+  }
+
+  const attempts = [];
+  for (const source of TRANSCRIPT_SOURCES) {
+    try {
+      const fetched = await source.fetch(videoId, { userId, language });
+      const usable = fetched.segments.filter(segment => segment.text?.trim());
+      if (usable.length === 0) {
+        throw new Error('Transcript is empty');
+      }
+
+      console.log(`Fetched transcript for ${videoId} from ${source.name}: ${usable.length} segments`);
+      if (source.cache) {
+        await cacheTranscript(videoId, source.name, { language: fetched.language, segments: usable });
+      }
+      return toTranscript({ source: source.name, language: fetched.language, segments: usable });
+    } catch (error) {
+      const message = error?.response?.data?.error || error?.response?.data?.message || error.message;
+      console.error(`Transcript source ${source.name} failed for ${videoId}:`, message);
+      attempts.push({ source: source.name, error: message });
+    }
+  }
+
+  throw new TranscriptUnavailableError(videoId, attempts);
+}
+
+// Caption tracks a video offers, read from its watch page: [{ code, name, auto }], where
+// `auto` marks YouTube's speech recognition tracks. Empty when the page has none or is unreachable.
+export async function listTranscriptLanguages(videoId) {
+  try {
+    const response = await axios.get(`https://www.youtube.com/watch?v=${videoId}`, {
+      headers: { 'Accept-Language': 'en' },
+      responseType: 'text',
+      timeout: FETCH_TIMEOUT_MS
+    });
+    const captions = String(response.data).split('"captions":')[1];
+    if (!captions) return [];
+
+    const { playerCaptionsTracklistRenderer } = JSON.parse(captions.split(',"videoDetails')[0].replace(/\n/g, ''));
+    return (playerCaptionsTracklistRenderer?.captionTracks || []).map(track => ({
+      code: track.languageCode,
+      name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+      auto: track.kind === 'asr'
+    }));
+  } catch (error) {
+    console.error(`Error listing transcript languages for ${videoId}:`, error.message);
+    return [];
+  }
+}
+
+// Store (or replace) captions a user uploaded for a video
+export async function saveUploadedCaptions(userId, videoId, segments, language = null) {
+  const { error } = await supabase
+    .from('caption_uploads')
+    .upsert({
+      user_id: userId,
+      video_id: videoId,
+      language,
+      segments,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'user_id,video_id' });
+
+  if (error) {
+    console.error('Error saving uploaded captions:', error);
+    throw error;
+  }
+}
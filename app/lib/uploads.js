@@ -0,0 +1,55 @@
+import { randomUUID } from 'crypto';
+import { MAX_CAPTIONS_LENGTH, parseCaptions } from '@/app/utils/captions';
+import { formatTranscript } from '@/app/utils/timestamps';
+import { MAX_TITLE_LENGTH } from '@/app/utils/titles';
+
+export const UPLOAD_EXTENSIONS = ['.srt', '.vtt', '.txt'];
+
+// Uploads have no link, so each gets its own key in the url column
+export function isUploadUrl(url) {
+  return String(url || '').startsWith('upload://');
+}
+
+export function createUploadUrl(name) {
+  return `upload://${randomUUID()}/${encodeURIComponent(name)}`;
+}
+
+function defaultTitle(name, text) {
+  if (name) {
+    return name.replace(/\.(srt|vtt|txt)$/i, '');
+  }
+  const firstLine = text.trim().split('\n')[0].trim();
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine || 'Pasted text';
+}
+
+// Validate an uploaded caption file or pasted text ({ name, text, title }) and turn it into
+// a source for the processing pipeline: { url, title, content }
+export function parseUpload(upload) {
+  const name = typeof upload?.name === 'string' ? upload.name.trim() : '';
+  const text = typeof upload?.text === 'string' ? upload.text : '';
+
+  if (name && !UPLOAD_EXTENSIONS.some(extension => name.toLowerCase().endsWith(extension))) {
+    return { error: `Upload a ${UPLOAD_EXTENSIONS.join(', ')} file` };
+  }
+  if (!text.trim()) {
+    return { error: 'The uploaded file or pasted text is empty' };
+  }
+  if (text.length > MAX_CAPTIONS_LENGTH) {
+    return { error: name ? 'The uploaded file is too large' : 'The pasted text is too long' };
+  }
+
+  const segments = parseCaptions(text);
+  if (segments.length === 0) {
+    return { error: 'No caption text found in the upload' };
+  }
+
+  const title = (typeof upload.title === 'string' && upload.title.trim()) || defaultTitle(name, text);
+  return {
+    source: {
+      url: createUploadUrl(name || 'pasted-text.txt'),
+      title: title.slice(0, MAX_TITLE_LENGTH),
+      // Timed cues become "[m:ss]" lines, exactly like a YouTube transcript
+      content: formatTranscript(segments)
+    }
+  };
+}
@@ -0,0 +1,67 @@
+import axios from 'axios';
+import { getCanonicalVideoUrl } from '@/app/utils/youtube';
+
+const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3';
+const OEMBED_URL = 'https://www.youtube.com/oembed';
+
+export async function youtubeApi(resource, params) {
+  if (!process.env.YOUTUBE_API_KEY) {
+    throw new Error('YOUTUBE_API_KEY is not configured');
+  }
+
+  const response = await axios.get(`${YOUTUBE_API_URL}/${resource}`, {
+    params: { ...params, key: process.env.YOUTUBE_API_KEY }
+  });
+  return response.data;
+}
+
+// ISO 8601 durations as the Data API returns them: "PT1H2M3S" to 3723
+function parseDuration(value) {
+  const match = String(value || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+  const total = days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  return total > 0 ? total : null;
+}
+
+async function fetchFromDataApi(videoId) {
+  const data = await youtubeApi('videos', { part: 'snippet,contentDetails', id: videoId });
+  const video = data.items?.[0];
+  if (!video) {
+    throw new Error('Video not found');
+  }
+
+  return {
+    title: video.snippet.title,
+    channel: video.snippet.channelTitle,
+    duration_seconds: parseDuration(video.contentDetails?.duration),
+    published_at: video.snippet.publishedAt || null
+  };
+}
+
+// oEmbed needs no API key but only knows the title and channel
+async function fetchFromOEmbed(videoId) {
+  const response = await axios.get(OEMBED_URL, {
+    params: { url: getCanonicalVideoUrl(videoId), format: 'json' }
+  });
+  return {
+    title: response.data.title,
+    channel: response.data.author_name,
+    duration_seconds: null,
+    published_at: null
+  };
+}
+
+// Title, channel, duration and publish date of a video: { title, channel, duration_seconds,
+// published_at }, with null for whatever is unknown. Never throws; metadata is nice to have.
+export async function getVideoMetadata(videoId) {
+  for (const fetchMetadata of [fetchFromDataApi, fetchFromOEmbed]) {
+    try {
+      return await fetchMetadata(videoId);
+    } catch (error) {
+      const message = error?.response?.data?.error?.message || error.message;
+      console.error(`Video metadata lookup failed for ${videoId}:`, message);
+    }
+  }
+  return { title: null, channel: null, duration_seconds: null, published_at: null };
+}
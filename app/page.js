@@ -2,36 +2,68 @@
 
 import { useState, useEffect } from 'react';
 import { useAuth } from './hooks/useAuth';
+import Link from 'next/link';
 import { motion } from 'framer-motion';
 import StudyMaterialsModal from './components/StudyMaterialsModal';
+import ProcessingJobs from './components/ProcessingJobs';
+import GenerationOptionsFields, { EMPTY_GENERATION_OPTIONS } from './components/GenerationOptionsFields';
+import { readEventStream } from './utils/eventStream';
+import { getCanonicalVideoUrl, getVideoId } from './utils/youtube';
+import { OUTPUT_LANGUAGES, getLanguageName } from './utils/languages';
+import { endOfToday } from './utils/spacedRepetition';
+
+const DOCUMENT_FILE = /\.(pdf|pptx)$/i;
 
 export default function Home() {
-  const { user, signInWithGoogle } = useAuth();
+  const { user, signInWithGoogle, authFetch } = useAuth();
   const [url, setUrl] = useState('');
+  const [regenerate, setRegenerate] = useState(false);
+  const [summaryLimit, setSummaryLimit] = useState('');
+  const [captionFile, setCaptionFile] = useState(null);
+  // '' leaves the choice to the server: the video's default captions, materials in the source's language
+  const [transcriptLanguage, setTranscriptLanguage] = useState('');
+  const [transcriptLanguages, setTranscriptLanguages] = useState([]);
+  const [outputLanguage, setOutputLanguage] = useState('');
+  const [generationOptions, setGenerationOptions] = useState(EMPTY_GENERATION_OPTIONS);
+  // 'link' processes a URL; 'upload' a file or pasted transcript; 'batch' a playlist or list of links
+  const [sourceMode, setSourceMode] = useState('link');
+  const [uploadFile, setUploadFile] = useState(null);
+  const [pastedText, setPastedText] = useState('');
+  const [uploadTitle, setUploadTitle] = useState('');
+  const [batchLinks, setBatchLinks] = useState('');
+  const [courseTitle, setCourseTitle] = useState('');
+  const [batchResult, setBatchResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [studyMaterials, setStudyMaterials] = useState(null);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState({
     flashcardsCount: 0,
-    quizzesCount: 0
+    quizzesCount: 0,
+    dueFlashcardsCount: 0
   });
   const [processingSteps, setProcessingSteps] = useState([]);
-  const [currentStep, setCurrentStep] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [jobsRefreshKey, setJobsRefreshKey] = useState(0);
 
-  // Function to add a new processing step
-  const addProcessingStep = (step, status = 'pending') => {
-    setProcessingSteps(prev => [...prev, { step, status, timestamp: new Date() }]);
-    setCurrentStep(step);
+  // Apply a server progress event: update the step it belongs to, or append a new one
+  const applyProgress = ({ step, status, message }) => {
+    setProcessingSteps(prev => {
+      const existing = prev.find(s => s.step === step);
+      if (existing) {
+        return prev.map(s =>
+          s.step === step ? { ...s, status, message } : s
+        );
+      }
+      return [...prev, { step, status, message, timestamp: new Date() }];
+    });
   };
 
-  // Function to update step status
-  const updateStepStatus = (step, status) => {
-    setProcessingSteps(prev => 
-      prev.map(s => 
-        s.step === step ? { ...s, status } : s
-      )
-    );
+  // Mark whichever step is still running as failed and add the error line
+  const failProcessing = (message) => {
+    setProcessingSteps(prev => [
+      ...prev.map(s => (s.status === 'pending' ? { ...s, status: 'error' } : s)),
+      { step: 'error', status: 'error', message: `Error: ${message}`, timestamp: new Date() }
+    ]);
   };
 
   // Fetch user stats when user logs in or study materials change
@@ -40,12 +72,14 @@ export default function Home() {
       if (!user) return;
 
       try {
-        const response = await fetch(`/api/user-stats?userId=${user.uid}`);
+        const dueBefore = encodeURIComponent(endOfToday().toISOString());
+        const response = await authFetch(`/api/user-stats?dueBefore=${dueBefore}`);
         if (!response.ok) throw new Error('Failed to fetch user stats');
         const data = await response.json();
         setStats({
           flashcardsCount: data.flashcardsCount,
-          quizzesCount: data.quizzesCount
+          quizzesCount: data.quizzesCount,
+          dueFlashcardsCount: data.dueFlashcardsCount
         });
       } catch (error) {
         console.error('Error fetching user stats:', error);
@@ -53,9 +87,58 @@ export default function Home() {
     }
 
     fetchUserStats();
-  }, [user, studyMaterials]); // Re-fetch when user or study materials change
+  }, [user, studyMaterials, authFetch]); // Re-fetch when user or study materials change
+
+  // Caption languages of the video being entered, offered as transcript choices
+  const videoId = getVideoId(url);
+  useEffect(() => {
+    setTranscriptLanguage('');
+    setTranscriptLanguages([]);
+    if (!videoId) return;
 
-  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let cancelled = false;
+    async function fetchTranscriptLanguages() {
+      try {
+        const response = await authFetch(`/api/transcript-languages?url=${encodeURIComponent(getCanonicalVideoUrl(videoId))}`);
+        if (!response.ok) throw new Error('Failed to fetch transcript languages');
+        const data = await response.json();
+        if (!cancelled) setTranscriptLanguages(data.languages || []);
+      } catch (error) {
+        console.error('Error fetching transcript languages:', error);
+      }
+    }
+
+    fetchTranscriptLanguages();
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId, authFetch]);
+
+  // Queue a playlist or list of links as a course; its videos are processed in the background
+  const submitBatch = async () => {
+    applyProgress({ step: 'course', status: 'pending', message: 'Expanding links and queueing videos' });
+    const response = await authFetch('/api/courses', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        links: batchLinks,
+        title: courseTitle,
+        summaryLimit: summaryLimit === '' ? null : Number(summaryLimit),
+        outputLanguage: outputLanguage || null,
+        generationOptions,
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to create course');
+    }
+
+    setBatchResult(data);
+    setJobsRefreshKey(key => key + 1);
+    setBatchLinks('');
+    setCourseTitle('');
+    setLoading(false);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -63,65 +146,119 @@ export default function Home() {
     setLoading(true);
     setError(null);
     setStudyMaterials(null);
+    setBatchResult(null);
     setProcessingSteps([]); // Reset steps
 
     try {
-      // Show initializing for 3 seconds
-      addProcessingStep('Initializing request');
-      await sleep(3000);
-      updateStepStatus('Initializing request', 'completed');
-      
-      // Add YouTube transcript step if it's a YouTube URL
-      if (url.includes('youtube.com') || url.includes('youtu.be')) {
-        addProcessingStep('Fetching YouTube transcript');
+      if (sourceMode === 'batch') {
+        await submitBatch();
+        return;
+      }
+
+      if (sourceMode === 'upload' && !uploadFile && !pastedText.trim()) {
+        throw new Error('Choose a file or paste a transcript');
+      }
+
+      // Captions are only used when no transcript can be fetched, so upload them first
+      if (sourceMode === 'link' && captionFile) {
+        applyProgress({ step: 'captions', status: 'pending', message: 'Uploading captions' });
+        const captionsResponse = await authFetch('/api/captions', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url, captions: await captionFile.text() })
+        });
+        const captionsData = await captionsResponse.json();
+        if (!captionsResponse.ok) {
+          throw new Error(captionsData.error || 'Failed to upload captions');
+        }
+        applyProgress({ step: 'captions', status: 'completed', message: `Uploaded ${captionsData.segments} caption segments` });
+      }
+
+      applyProgress({ step: 'request', status: 'pending', message: 'Sending request' });
+
+      // PDFs and slide decks are sent as the file itself; everything else as JSON
+      let request;
+      if (sourceMode === 'upload' && uploadFile && DOCUMENT_FILE.test(uploadFile.name)) {
+        const form = new FormData();
+        form.append('file', uploadFile);
+        form.append('title', uploadTitle);
+        form.append('summaryLimit', summaryLimit);
+        form.append('outputLanguage', outputLanguage);
+        form.append('generationOptions', JSON.stringify(generationOptions));
+        request = { headers: { 'Accept': 'text/event-stream' }, body: form };
       } else {
-        addProcessingStep('Extracting content from URL');
+        request = {
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream',
+          },
+          body: JSON.stringify({
+            ...(sourceMode === 'upload'
+              ? {
+                  upload: {
+                    name: uploadFile?.name,
+                    text: uploadFile ? await uploadFile.text() : pastedText,
+                    title: uploadTitle
+                  }
+                }
+              : { url, regenerate, transcriptLanguage: transcriptLanguage || null }),
+            summaryLimit: summaryLimit === '' ? null : Number(summaryLimit),
+            outputLanguage: outputLanguage || null,
+            generationOptions,
+          }),
+        };
       }
 
-      const response = await fetch('/api/process-content', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          url,
-          userId: user?.uid,
-        }),
+      const response = await authFetch('/api/process-content', { method: 'POST', ...request });
+
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || 'Failed to process content');
+      }
+
+      applyProgress({ step: 'request', status: 'completed', message: 'Request accepted' });
+
+      let data = null;
+      let streamError = null;
+      let jobId = null;
+      await readEventStream(response, (event, payload) => {
+        if (event === 'progress') {
+          if (payload.jobId) jobId = payload.jobId;
+          applyProgress(payload);
+        } else if (event === 'result') {
+          data = payload;
+        } else if (event === 'error') {
+          streamError = payload?.error || 'Failed to process content';
+        }
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to process content');
+      // Anything that left a job behind shows up in the jobs list for polling and retry
+      if (jobId) {
+        setJobsRefreshKey(key => key + 1);
       }
 
-      const data = await response.json();
+      if (streamError) {
+        throw new Error(streamError);
+      }
       if (!data) {
-        throw new Error('No data received');
+        throw new Error(jobId
+          ? 'Connection lost. Processing continues in the background; check Recent processing jobs below.'
+          : 'No data received');
       }
 
-      // Update transcript/content step
-      updateStepStatus(currentStep, 'completed');
-
-      // Add and show generating materials step
-      addProcessingStep('Generating study materials');
-      await sleep(2000); // Show for at least 2 seconds
-      updateStepStatus('Generating study materials', 'completed');
-      
-      // Add saving step
-      addProcessingStep('Saving to database');
-      await sleep(1000); // Show for at least 1 second
-      updateStepStatus('Saving to database', 'completed');
-      
-      // Final success step
-      addProcessingStep('Content processed successfully', 'completed');
-      
+      applyProgress({ step: 'done', status: 'completed', message: 'Content processed successfully' });
+
       setStudyMaterials(data);
       setShowModal(true); // Show modal when materials are ready
       setUrl('');
+      setRegenerate(false);
+      setCaptionFile(null);
+      setUploadFile(null);
+      setPastedText('');
+      setUploadTitle('');
       setLoading(false);
     } catch (err) {
-      // Add error step and update current step as failed
-      updateStepStatus(currentStep, 'error');
-      addProcessingStep(`Error: ${err.message}`, 'error');
+      failProcessing(err.message);
       setError(err.message);
       setLoading(false);
     }
@@ -169,15 +306,146 @@ export default function Home() {
             <p className="mt-1 text-sm text-gray-500">
               Paste a link to a YouTube video, blog post, or tweet to generate study materials
             </p>
-            <form onSubmit={handleSubmit} className="mt-6">
-              <input
-                type="url"
-                value={url}
-                onChange={(e) => setUrl(e.target.value)}
-                placeholder="https://..."
-                className="block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
-                required
-              />
+            <div className="mt-4 inline-flex rounded-md bg-gray-100 p-1 text-sm">
+              {[['link', 'Link'], ['upload', 'File or text'], ['batch', 'Playlist or list']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setSourceMode(mode)}
+                  className={`rounded px-3 py-1 font-medium ${
+                    sourceMode === mode ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <form onSubmit={handleSubmit} className="mt-4">
+              {sourceMode === 'link' ? (
+                <>
+                  <input
+                    type="url"
+                    value={url}
+                    onChange={(e) => setUrl(e.target.value)}
+                    placeholder="https://..."
+                    className="block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+                    required
+                  />
+                  <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={regenerate}
+                      onChange={(e) => setRegenerate(e.target.checked)}
+                      className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+                    />
+                    Regenerate even if this link was already processed (the old version goes to the trash)
+                  </label>
+                  {videoId && transcriptLanguages.length > 0 && (
+                    <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                      Transcript language
+                      <select
+                        value={transcriptLanguage}
+                        onChange={(e) => setTranscriptLanguage(e.target.value)}
+                        className="rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm"
+                      >
+                        <option value="">Video default</option>
+                        {transcriptLanguages.map(({ code, name, auto }) => (
+                          <option key={`${code}-${auto}`} value={code}>
+                            {name}{auto ? ' (auto-generated)' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {videoId && (
+                    <label className="mt-3 block text-sm text-gray-600">
+                      Captions file (optional, used if the video has no fetchable transcript)
+                      <input
+                        type="file"
+                        accept=".srt,.vtt,.txt,text/vtt,text/plain"
+                        onChange={(e) => setCaptionFile(e.target.files?.[0] || null)}
+                        className="mt-1 block w-full text-sm text-gray-600 file:mr-3 file:rounded-md file:border-0 file:bg-indigo-50 file:px-3 file:py-1.5 file:text-sm file:font-medium file:text-indigo-700 hover:file:bg-indigo-100"
+                      />
+                    </label>
+                  )}
+                </>
+              ) : sourceMode === 'batch' ? (
+                <>
+                  <textarea
+                    value={batchLinks}
+                    onChange={(e) => setBatchLinks(e.target.value)}
+                    rows={6}
+                    placeholder="A YouTube playlist or channel link, or one link per line"
+                    className="block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={courseTitle}
+                    onChange={(e) => setCourseTitle(e.target.value)}
+                    placeholder="Course title (defaults to the playlist title)"
+                    className="mt-3 block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+                  />
+                  <p className="mt-2 text-xs text-gray-500">
+                    Videos you already processed are added to the course without processing them again.
+                  </p>
+                </>
+              ) : (
+                <>
+                  <input
+                    type="file"
+                    accept=".pdf,.pptx,.srt,.vtt,.txt,application/pdf,text/vtt,text/plain"
+                    onChange={(e) => {
+                      const file = e.target.files?.[0] || null;
+                      setUploadFile(file);
+                      if (file && !uploadTitle) setUploadTitle(file.name.replace(/\.(pdf|pptx|srt|vtt|txt)$/i, ''));
+                    }}
+                    className="block w-full text-sm text-gray-600 file:mr-3 file:rounded-md file:border-0 file:bg-indigo-50 file:px-3 file:py-1.5 file:text-sm file:font-medium file:text-indigo-700 hover:file:bg-indigo-100"
+                  />
+                  {!uploadFile && (
+                    <textarea
+                      value={pastedText}
+                      onChange={(e) => setPastedText(e.target.value)}
+                      rows={6}
+                      placeholder="...or paste a transcript or SRT/VTT captions"
+                      className="mt-3 block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+                    />
+                  )}
+                  <input
+                    type="text"
+                    value={uploadTitle}
+                    onChange={(e) => setUploadTitle(e.target.value)}
+                    placeholder="Title (defaults to the file name)"
+                    className="mt-3 block w-full rounded-md border-0 py-1.5 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+                  />
+                </>
+              )}
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                Summary points
+                <input
+                  type="number"
+                  min="1"
+                  max="50"
+                  value={summaryLimit}
+                  onChange={(e) => setSummaryLimit(e.target.value)}
+                  placeholder="15"
+                  className="w-20 rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm"
+                />
+              </label>
+              <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                Study materials in
+                <select
+                  value={outputLanguage}
+                  onChange={(e) => setOutputLanguage(e.target.value)}
+                  className="rounded-md border-0 py-1 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm"
+                >
+                  <option value="">Same language as the source</option>
+                  {OUTPUT_LANGUAGES.map(code => (
+                    <option key={code} value={code}>{getLanguageName(code)}</option>
+                  ))}
+                </select>
+              </label>
+              <GenerationOptionsFields value={generationOptions} onChange={setGenerationOptions} />
               <button
                 type="submit"
                 disabled={loading}
@@ -189,12 +457,22 @@ export default function Home() {
               </button>
             </form>
 
+            {batchResult && (
+              <div className="mt-4 rounded-lg border border-green-200 bg-green-50 p-4 text-sm text-green-800">
+                Created course &ldquo;{batchResult.course.title}&rdquo;: {batchResult.queued} queued,{' '}
+                {batchResult.skipped} already processed.
+                {batchResult.truncated && ' Only the first 50 sources were added.'}
+                {' '}Track each video below or open it on the{' '}
+                <Link href="/quizzes" className="font-medium underline">quizzes page</Link>.
+              </div>
+            )}
+
             {/* Progress Indicator */}
             {loading && processingSteps.length > 0 && (
               <div className="mt-4 rounded-lg border border-gray-200 bg-gray-50 p-4 font-mono text-sm">
                 <div className="space-y-2">
-                  {processingSteps.map(({ step, status, timestamp }, index) => (
-                    <div key={index} className="flex items-center space-x-2">
+                  {processingSteps.map(({ step, status, message }) => (
+                    <div key={step} className="flex items-center space-x-2">
                       {/* Status indicator */}
                       {status === 'pending' && (
                         <svg className="h-4 w-4 animate-spin text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -212,7 +490,7 @@ export default function Home() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
                         </svg>
                       )}
-                      <span className={status === 'error' ? 'text-red-600' : ''}>{step}</span>
+                      <span className={status === 'error' ? 'text-red-600' : ''}>{message}</span>
                     </div>
                   ))}
                 </div>
@@ -224,6 +502,14 @@ export default function Home() {
                 {error}
               </div>
             )}
+
+            <ProcessingJobs
+              refreshKey={jobsRefreshKey}
+              onOpenMaterials={(materials) => {
+                setStudyMaterials(materials);
+                setShowModal(true);
+              }}
+            />
           </motion.div>
 
           {/* Stats Section */}
@@ -242,6 +528,18 @@ export default function Home() {
                 <h3 className="text-sm font-medium text-green-600">Quizzes Generated</h3>
                 <p className="mt-2 text-3xl font-semibold text-green-900">{stats.quizzesCount}</p>
               </div>
+              <a
+                href="/flashcards"
+                className="col-span-2 flex items-center justify-between rounded-lg bg-violet-50 p-4 hover:bg-violet-100 transition-colors"
+              >
+                <div>
+                  <h3 className="text-sm font-medium text-violet-600">Flashcards Due Today</h3>
+                  <p className="mt-2 text-3xl font-semibold text-violet-900">{stats.dueFlashcardsCount}</p>
+                </div>
+                <span className="text-sm font-semibold text-violet-700">
+                  {stats.dueFlashcardsCount > 0 ? 'Start review →' : 'All caught up'}
+                </span>
+              </a>
             </div>
           </motion.div>
         </div>
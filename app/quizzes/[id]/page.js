@@ -0,0 +1,429 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import { useAuth } from '../../hooks/useAuth';
+import { QUIZ_DIFFICULTIES, compareDifficulty } from '../../utils/difficulty';
+import TimestampLink from '../../components/TimestampLink';
+import PageReference from '../../components/PageReference';
+import { GenerateMoreForm, QuizQuestionForm, StudyItemActions } from '../../components/StudyItemForms';
+import { useStudyItemActions } from '../../hooks/useStudyItemActions';
+import { toQuizQuestion } from '../../utils/studyItems';
+import { formatVideoDetails, isYouTubeUrl } from '../../utils/youtube';
+import { formatLanguages } from '../../utils/languages';
+
+const difficultyBadgeStyles = {
+  easy: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  hard: 'bg-orange-100 text-orange-800',
+  extreme: 'bg-red-100 text-red-800'
+};
+
+// What a source is, for the page heading: a video, an uploaded document or transcript, or an article
+function getSourceKind(url) {
+  if (isYouTubeUrl(url)) return 'Video';
+  if (!String(url || '').startsWith('upload://')) return 'Article';
+  const name = decodeURIComponent(url).toLowerCase();
+  if (name.endsWith('.pptx')) return 'Slides';
+  if (name.endsWith('.pdf')) return 'PDF';
+  return 'Transcript';
+}
+
+export default function QuizPage() {
+  const [material, setMaterial] = useState(null);
+  const [quizzes, setQuizzes] = useState([]);
+  const [userAnswers, setUserAnswers] = useState({});
+  const [feedback, setFeedback] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [attemptId, setAttemptId] = useState(null);
+  const [sourceStats, setSourceStats] = useState(null);
+  const [difficultyFilter, setDifficultyFilter] = useState('');
+  const [orderByDifficulty, setOrderByDifficulty] = useState(false);
+  // Id of the question being edited, or 'new' while adding one
+  const [editingId, setEditingId] = useState(null);
+  const itemActions = useStudyItemActions();
+  // When each question was last (re)started, for time-taken tracking
+  const questionStartTimes = useRef({});
+  const router = useRouter();
+  const params = useParams();
+  const { user, loading: authLoading, authFetch } = useAuth();
+  const studyMaterialId = params?.id;
+
+  useEffect(() => {
+    if (authLoading) return;
+    
+    if (!user) {
+      router.push('/login');
+      return;
+    }
+
+    async function fetchQuizzes() {
+      try {
+        setLoading(true);
+        const response = await authFetch(`/api/study-materials/${studyMaterialId}`);
+        if (!response.ok) {
+          throw new Error(response.status === 404 ? 'Study material not found' : 'Failed to fetch quizzes');
+        }
+        const { materials } = await response.json();
+        const sourceQuizzes = materials.quiz;
+        setMaterial(materials);
+        setQuizzes(sourceQuizzes);
+
+        const attemptsResponse = await authFetch(`/api/quiz-attempts?studyMaterialId=${studyMaterialId}`);
+        if (attemptsResponse.ok) {
+          const attemptsData = await attemptsResponse.json();
+          setSourceStats(attemptsData.sources[studyMaterialId] || null);
+        }
+
+        const startedAt = Date.now();
+        questionStartTimes.current = Object.fromEntries(sourceQuizzes.map(quiz => [quiz.id, startedAt]));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchQuizzes();
+  }, [user, authLoading, router, studyMaterialId, authFetch]);
+
+  const handleAnswerSelect = (quizId, selectedOption) => {
+    setUserAnswers(prev => ({
+      ...prev,
+      [quizId]: selectedOption
+    }));
+    // Clear feedback when user changes answer, but remember the first-try result for scoring
+    setFeedback(prev => ({
+      ...prev,
+      [quizId]: prev[quizId]?.firstTry !== undefined ? { firstTry: prev[quizId].firstTry } : null
+    }));
+  };
+
+  // Attempts are created lazily, on the first answer submitted in this visit
+  const ensureAttempt = async () => {
+    if (attemptId) return attemptId;
+    const response = await authFetch('/api/quiz-attempts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ studyMaterialId: material.id })
+    });
+    if (!response.ok) {
+      throw new Error('Failed to start quiz attempt');
+    }
+    const { attempt } = await response.json();
+    setAttemptId(attempt.id);
+    return attempt.id;
+  };
+
+  const checkAnswer = async (quizId) => {
+    const quiz = quizzes.find(q => q.id === quizId);
+    if (!quiz || !userAnswers[quizId]) {
+      setFeedback(prev => ({
+        ...prev,
+        [quizId]: { ...prev[quizId], type: 'warning', message: 'Please select an answer' }
+      }));
+      return;
+    }
+
+    try {
+      const currentAttemptId = await ensureAttempt();
+      const response = await authFetch(`/api/quiz-attempts/${currentAttemptId}/answers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          quizId,
+          selectedOption: userAnswers[quizId],
+          timeTakenMs: Date.now() - (questionStartTimes.current[quizId] || Date.now())
+        })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to save answer');
+      }
+      const { isCorrect } = await response.json();
+      questionStartTimes.current[quizId] = Date.now();
+
+      setFeedback(prev => ({
+        ...prev,
+        [quizId]: {
+          type: isCorrect ? 'success' : 'error',
+          message: isCorrect ? 'Correct!' : 'Try again',
+          // Only the first submission per question counts towards the score
+          firstTry: prev[quizId]?.firstTry ?? isCorrect
+        }
+      }));
+    } catch (err) {
+      setFeedback(prev => ({
+        ...prev,
+        [quizId]: { ...prev[quizId], type: 'warning', message: err.message }
+      }));
+    }
+  };
+
+  const saveQuiz = async (quiz, fields) => {
+    if (quiz) {
+      const row = await itemActions.updateItem('quiz', quiz.id, fields);
+      setQuizzes(prev => prev.map(q => (q.id === quiz.id ? toQuizQuestion(row) : q)));
+      // An answer picked for the old wording no longer applies
+      handleAnswerSelect(quiz.id, undefined);
+    } else {
+      const row = await itemActions.createItem('quiz', material.id, fields);
+      setQuizzes(prev => [...prev, toQuizQuestion(row)]);
+      questionStartTimes.current[row.id] = Date.now();
+    }
+    setEditingId(null);
+  };
+
+  const deleteQuiz = async (quiz) => {
+    await itemActions.deleteItem('quiz', quiz.id);
+    setQuizzes(prev => prev.filter(q => q.id !== quiz.id));
+  };
+
+  const reportQuiz = async (quiz, reason) => {
+    const row = await itemActions.reportItem('quiz', quiz.id, reason);
+    setQuizzes(prev => prev.map(q => (q.id === quiz.id ? toQuizQuestion(row) : q)));
+  };
+
+  const generateMore = async (request) => {
+    const { quiz } = await itemActions.generateMore(material.id, request);
+    setQuizzes(prev => [...prev, ...quiz.map(toQuizQuestion)]);
+    const startedAt = Date.now();
+    quiz.forEach(row => { questionStartTimes.current[row.id] = startedAt; });
+    return quiz.length;
+  };
+
+  const startNewAttempt = () => {
+    setAttemptId(null);
+    setUserAnswers({});
+    setFeedback({});
+    const startedAt = Date.now();
+    questionStartTimes.current = Object.fromEntries(quizzes.map(quiz => [quiz.id, startedAt]));
+  };
+
+  const visibleQuizzes = quizzes.filter(quiz => !difficultyFilter || quiz.difficulty === difficultyFilter);
+  if (orderByDifficulty) {
+    visibleQuizzes.sort(compareDifficulty);
+  }
+
+  const scoredFeedback = Object.values(feedback).filter(f => f && f.firstTry !== undefined);
+  const attemptCorrect = scoredFeedback.filter(f => f.firstTry).length;
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="animate-pulse space-y-4">
+            <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+              <div className="h-4 bg-gray-200 rounded"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h2 className="text-red-600 text-xl font-semibold">Error: {error}</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const details = [formatVideoDetails(material), formatLanguages(material)]
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-8">
+          <button
+            onClick={() => router.push('/quizzes')}
+            className="text-indigo-600 hover:text-indigo-800 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+            </svg>
+            Back to Quizzes
+          </button>
+          
+          <h1 className="text-2xl font-bold text-gray-900 mt-4">Quizzes for {getSourceKind(material.url)}</h1>
+          <p className="mt-2 text-gray-600 break-all">{material.title || material.url}</p>
+          {details && (
+            <p className="mt-1 text-sm text-gray-500">{details}</p>
+          )}
+
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+            <span className="rounded-md bg-white px-3 py-1.5 shadow-sm text-gray-700">
+              This attempt: {attemptCorrect}/{scoredFeedback.length} correct
+              {' '}({quizzes.length - scoredFeedback.length} unanswered)
+            </span>
+            {sourceStats && (
+              <span className="rounded-md bg-white px-3 py-1.5 shadow-sm text-gray-700">
+                Best: {sourceStats.best.score}% · Last: {sourceStats.last.score}% · {sourceStats.attempts} attempt{sourceStats.attempts === 1 ? '' : 's'}
+              </span>
+            )}
+            {quizzes.length > 0 && (
+              <button
+                onClick={() => router.push(`/exam?sources=${material.id}`)}
+                className="rounded-md bg-indigo-600 px-3 py-1.5 text-white hover:bg-indigo-700"
+              >
+                Take timed exam
+              </button>
+            )}
+            {scoredFeedback.length > 0 && (
+              <button
+                onClick={startNewAttempt}
+                className="rounded-md border border-indigo-200 px-3 py-1.5 text-indigo-700 hover:bg-indigo-50"
+              >
+                Start new attempt
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="mb-4 flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            Difficulty
+            <select
+              value={difficultyFilter}
+              onChange={(e) => setDifficultyFilter(e.target.value)}
+              className="rounded-md border-0 py-1 pl-2 pr-8 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 focus:ring-2 focus:ring-indigo-600 sm:text-sm"
+            >
+              <option value="">All ({quizzes.length})</option>
+              {QUIZ_DIFFICULTIES.map(level => (
+                <option key={level} value={level}>
+                  {level} ({quizzes.filter(quiz => quiz.difficulty === level).length})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={orderByDifficulty}
+              onChange={(e) => setOrderByDifficulty(e.target.checked)}
+              className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-600"
+            />
+            Order from easy to extreme
+          </label>
+        </div>
+
+        <div className="space-y-6">
+          {visibleQuizzes.map((quiz) => editingId === quiz.id ? (
+            <QuizQuestionForm
+              key={quiz.id}
+              initial={quiz}
+              onSave={(fields) => saveQuiz(quiz, fields)}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <div key={quiz.id} className="bg-white shadow rounded-lg overflow-hidden">
+              <div className="p-6">
+                <div className="space-y-4">
+                  <div className="flex justify-between items-start">
+                    <h3 className="text-lg font-medium text-gray-900">{quiz.question}</h3>
+                    <TimestampLink
+                      url={material.url}
+                      timeRange={quiz.timeRange}
+                      className="ml-auto mr-2 flex-shrink-0"
+                    />
+                    <PageReference
+                      url={material.url}
+                      pageRange={quiz.pageRange}
+                      className="ml-auto mr-2 flex-shrink-0"
+                    />
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                      difficultyBadgeStyles[quiz.difficulty] || 'bg-indigo-100 text-indigo-800'
+                    }`}>
+                      {quiz.difficulty || material.difficulty_level}
+                    </span>
+                  </div>
+
+                  <div className="space-y-2">
+                    {quiz.options.map((option, index) => (
+                      <label
+                        key={index}
+                        className={`flex items-center p-3 rounded-lg border ${
+                          userAnswers[quiz.id] === option
+                            ? 'border-indigo-500 bg-indigo-50'
+                            : 'border-gray-200 hover:bg-gray-50'
+                        } cursor-pointer transition-colors`}
+                      >
+                        <input
+                          type="radio"
+                          name={`quiz-${quiz.id}`}
+                          value={option}
+                          checked={userAnswers[quiz.id] === option}
+                          onChange={() => handleAnswerSelect(quiz.id, option)}
+                          className="h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+                        />
+                        <span className="ml-3 text-gray-700">{option}</span>
+                      </label>
+                    ))}
+                  </div>
+
+                  <div className="flex items-center justify-between mt-4">
+                    <button
+                      onClick={() => checkAnswer(quiz.id)}
+                      className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
+                    >
+                      Check Answer
+                    </button>
+
+                    {feedback[quiz.id]?.message && (
+                      <div
+                        className={`px-4 py-2 rounded-md text-sm ${
+                          feedback[quiz.id].type === 'success'
+                            ? 'bg-green-100 text-green-800'
+                            : feedback[quiz.id].type === 'error'
+                            ? 'bg-red-100 text-red-800'
+                            : 'bg-yellow-100 text-yellow-800'
+                        }`}
+                      >
+                        {feedback[quiz.id].message}
+                      </div>
+                    )}
+                  </div>
+
+                  <StudyItemActions
+                    flagged={quiz.flagged}
+                    onEdit={() => setEditingId(quiz.id)}
+                    onDelete={() => deleteQuiz(quiz)}
+                    onReport={(reason) => reportQuiz(quiz, reason)}
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+          {quizzes.length === 0 && editingId !== 'new' && (
+            <p className="text-center text-gray-500">No questions yet. Add one or generate some below.</p>
+          )}
+          {editingId === 'new' ? (
+            <QuizQuestionForm
+              onSave={(fields) => saveQuiz(null, fields)}
+              onCancel={() => setEditingId(null)}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setEditingId('new')}
+              className="w-full rounded-lg border-2 border-dashed border-indigo-200 p-4 text-sm font-medium text-indigo-600 hover:bg-indigo-50"
+            >
+              Add question
+            </button>
+          )}
+          <GenerateMoreForm type="quiz" onGenerate={generateMore} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,15 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '../hooks/useAuth';
 import Image from 'next/image';
+import { formatVideoDetails } from '../utils/youtube';
+import { isUnoptimizedImage } from '../utils/images';
+import { formatLanguages } from '../utils/languages';
+import { formatGenerationOptions } from '../utils/generationOptions';
+
+const COURSE_POLL_INTERVAL_MS = 5000;
 
 export default function QuizzesPage() {
   const [quizzes, setQuizzes] = useState([]);
@@ -12,8 +18,12 @@ export default function QuizzesPage() {
   const [userAnswers, setUserAnswers] = useState({});
   const [feedback, setFeedback] = useState({});
   const [expandedSources, setExpandedSources] = useState(new Set());
+  const [attemptStats, setAttemptStats] = useState({});
+  const [courses, setCourses] = useState([]);
+  const [resuming, setResuming] = useState(null);
+  const [deleteError, setDeleteError] = useState(null);
   const router = useRouter();
-  const { user, loading: authLoading } = useAuth();
+  const { user, loading: authLoading, authFetch } = useAuth();
 
   useEffect(() => {
     if (authLoading) return;
@@ -26,16 +36,18 @@ export default function QuizzesPage() {
     async function fetchQuizzes() {
       try {
         setLoading(true);
-        const response = await fetch('/api/quizzes', {
-          headers: {
-            'Authorization': `Bearer ${user.uid}`
-          }
-        });
+        const response = await authFetch('/api/quizzes');
         if (!response.ok) {
           throw new Error('Failed to fetch quizzes');
         }
         const data = await response.json();
         setQuizzes(data.quizzes);
+
+        const attemptsResponse = await authFetch('/api/quiz-attempts');
+        if (attemptsResponse.ok) {
+          const attemptsData = await attemptsResponse.json();
+          setAttemptStats(attemptsData.sources);
+        }
       } catch (err) {
         setError(err.message);
       } finally {
@@ -44,7 +56,67 @@ export default function QuizzesPage() {
     }
 
     fetchQuizzes();
-  }, [user, authLoading, router]);
+  }, [user, authLoading, router, authFetch]);
+
+  const fetchCourses = useCallback(async () => {
+    if (!user) return;
+    try {
+      const response = await authFetch('/api/courses');
+      if (!response.ok) throw new Error('Failed to fetch courses');
+      const data = await response.json();
+      setCourses(data.courses || []);
+    } catch (err) {
+      console.error('Error fetching courses:', err);
+    }
+  }, [user, authFetch]);
+
+  useEffect(() => {
+    fetchCourses();
+  }, [fetchCourses]);
+
+  // Keep course statuses current while any of their videos is still being processed
+  const hasActiveCourses = courses.some(course =>
+    course.items.some(item => ['queued', 'running'].includes(item.status) && !item.stalled));
+  useEffect(() => {
+    if (!hasActiveCourses) return;
+    const interval = setInterval(fetchCourses, COURSE_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasActiveCourses, fetchCourses]);
+
+  const resumeCourse = async (courseId) => {
+    setResuming(courseId);
+    try {
+      const response = await authFetch(`/api/courses/${courseId}/resume`, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to resume course');
+      }
+      await fetchCourses();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setResuming(null);
+    }
+  };
+
+  // Move a source to the trash; it can be restored from the library
+  const deleteSource = async (studyMaterialId, title) => {
+    if (!window.confirm(`Move "${title}" to the trash? You can restore it from your library for 30 days.`)) {
+      return;
+    }
+    setDeleteError(null);
+    try {
+      const response = await authFetch(`/api/study-materials/${studyMaterialId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete source');
+      }
+      setQuizzes(prev => prev.filter(quiz => quiz.study_material_id !== studyMaterialId));
+      await fetchCourses();
+    } catch (err) {
+      setDeleteError(err.message);
+    }
+  };
 
   const handleAnswerSelect = (quizId, answer) => {
     setUserAnswers(prev => ({
@@ -87,23 +159,54 @@ export default function QuizzesPage() {
     });
   };
 
-  // Group quizzes by source URL
+  // Group quizzes by study material: one link can have several versions, e.g. in other
+  // languages or with other generation options, each shown with its own card
   const groupedQuizzes = quizzes.reduce((acc, quiz) => {
-    const sourceUrl = quiz.study_materials?.url || 'Unknown Source';
-    if (!acc[sourceUrl]) {
-      acc[sourceUrl] = {
+    const key = quiz.study_material_id;
+    if (!acc[key]) {
+      acc[key] = {
+        sourceUrl: quiz.study_materials?.url || 'Unknown Source',
         quizzes: [],
         metadata: {
+          study_material_id: quiz.study_material_id,
+          title: quiz.study_materials?.title,
+          details: formatVideoDetails(quiz.study_materials),
+          // Tells versions of the same link apart
+          version: [formatLanguages(quiz.study_materials), formatGenerationOptions(quiz.study_materials?.generation_options)]
+            .filter(Boolean)
+            .join(' · '),
           difficulty_level: quiz.study_materials?.difficulty_level,
           estimated_study_time: quiz.study_materials?.estimated_study_time,
           thumbnail: quiz.study_materials?.thumbnail
         }
       };
     }
-    acc[sourceUrl].quizzes.push(quiz);
+    acc[key].quizzes.push(quiz);
     return acc;
   }, {});
 
+  // Sources that belong to a course are shown with it instead of in the main grid
+  const sourcesByMaterial = new Map(
+    Object.values(groupedQuizzes).map(group => [group.metadata.study_material_id, group])
+  );
+  const courseMaterialIds = new Set(
+    courses.flatMap(course => course.items.map(item => item.study_material_id)).filter(Boolean)
+  );
+  const ungroupedSources = Array.from(sourcesByMaterial.values())
+    .filter(source => !courseMaterialIds.has(source.metadata.study_material_id));
+
+  const renderSource = ({ sourceUrl, quizzes: sourceQuizzes, metadata }) => (
+    <SourceCard
+      key={metadata.study_material_id}
+      sourceUrl={sourceUrl}
+      metadata={metadata}
+      quizCount={sourceQuizzes.length}
+      stats={attemptStats[metadata.study_material_id]}
+      onOpen={() => router.push(`/quizzes/${metadata.study_material_id}`)}
+      onDelete={() => deleteSource(metadata.study_material_id, metadata.title || sourceUrl)}
+    />
+  );
+
   if (authLoading || loading) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
@@ -148,77 +251,213 @@ export default function QuizzesPage() {
               Welcome back, {user.displayName || user.email}
             </p>
           )}
+          <button
+            onClick={() => router.push('/exam')}
+            className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            Exam Mode
+          </button>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {Object.keys(groupedQuizzes).length === 0 ? (
-            <div className="col-span-full text-center py-12">
-              <h3 className="text-lg font-medium text-gray-900">No quizzes yet</h3>
-              <p className="mt-2 text-gray-600">
-                Process some content to generate quizzes and test your knowledge.
-              </p>
-              <button
-                onClick={() => router.push('/')}
-                className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
-              >
-                Generate Quizzes
-              </button>
-            </div>
-          ) : (
-            Object.entries(groupedQuizzes).map(([sourceUrl, { quizzes: sourceQuizzes, metadata }]) => (
-              <div 
-                key={sourceUrl} 
-                className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow cursor-pointer"
-                onClick={() => router.push(`/quizzes/${encodeURIComponent(sourceUrl)}`)}
-              >
-                {/* Thumbnail with 16:9 aspect ratio */}
-                <div className="relative w-full" style={{ paddingTop: '56.25%' }}>
-                  {metadata.thumbnail ? (
-                    <Image
-                      src={metadata.thumbnail}
-                      alt="Video thumbnail"
-                      fill
-                      className="absolute inset-0 w-full h-full object-cover"
-                      onError={(e) => {
-                        e.currentTarget.style.display = 'none';
-                        e.currentTarget.parentElement.classList.add('bg-gradient-to-r', 'from-indigo-500', 'to-purple-600');
-                      }}
-                    />
-                  ) : (
-                    <div className="absolute inset-0 bg-gradient-to-r from-indigo-500 to-purple-600 flex items-center justify-center">
-                      <svg
-                        className="w-12 h-12 text-white opacity-75"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth={2}
-                          d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
-                        />
-                      </svg>
-                    </div>
-                  )}
-                </div>
+        {deleteError && (
+          <div className="mb-6 rounded-lg bg-red-50 p-4 text-sm text-red-600">{deleteError}</div>
+        )}
+
+        {Object.keys(groupedQuizzes).length === 0 && courses.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900">No quizzes yet</h3>
+            <p className="mt-2 text-gray-600">
+              Process some content to generate quizzes and test your knowledge.
+            </p>
+            <button
+              onClick={() => router.push('/')}
+              className="mt-4 inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Generate Quizzes
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-10">
+            {courses.map(course => (
+              <CourseSection
+                key={course.id}
+                course={course}
+                sources={course.items
+                  .map(item => sourcesByMaterial.get(item.study_material_id))
+                  .filter(Boolean)}
+                renderSource={renderSource}
+                onResume={() => resumeCourse(course.id)}
+                resuming={resuming === course.id}
+              />
+            ))}
 
-                <div className="p-4">
-                  <h3 className="font-medium text-gray-900 line-clamp-2 mb-2">
-                    {sourceUrl}
-                  </h3>
-                  <div className="flex items-center justify-between text-sm text-gray-500">
-                    <span>{sourceQuizzes.length} quizzes</span>
-                    <span>{metadata.difficulty_level}</span>
-                  </div>
-                  <div className="mt-2 text-xs text-gray-500">
-                    Estimated time: {metadata.estimated_study_time}
-                  </div>
+            {ungroupedSources.length > 0 && (
+              <section>
+                {courses.length > 0 && (
+                  <h2 className="mb-4 text-xl font-semibold text-gray-900">Other sources</h2>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                  {ungroupedSources.map(renderSource)}
                 </div>
-              </div>
-            ))
-          )}
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const itemStatusStyles = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-indigo-100 text-indigo-700',
+  partial: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-700',
+  done: 'bg-green-100 text-green-700',
+  skipped: 'bg-green-50 text-green-700',
+  removed: 'bg-gray-100 text-gray-500',
+  trashed: 'bg-gray-100 text-gray-500'
+};
+
+const itemStatusLabels = {
+  skipped: 'already processed',
+  removed: 'removed',
+  trashed: 'in trash'
+};
+
+// A batch of sources shown as one collection: per-video status, then the quizzes of each
+function CourseSection({ course, sources, renderSource, onResume, resuming }) {
+  const processed = course.items.filter(item => item.study_material_id).length;
+  const running = course.items.some(item => item.status === 'running' && !item.stalled);
+  const resumable = !running && course.items.some(item => item.status === 'queued' || item.stalled);
+
+  return (
+    <section>
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">{course.title}</h2>
+          <p className="text-sm text-gray-500">
+            Course · {processed} of {course.items.length} sources processed
+          </p>
+        </div>
+        {resumable && (
+          <button
+            onClick={onResume}
+            disabled={resuming}
+            className="rounded-md bg-indigo-50 px-3 py-1.5 text-sm font-medium text-indigo-700 hover:bg-indigo-100 disabled:opacity-50"
+          >
+            {resuming ? 'Resuming...' : 'Resume processing'}
+          </button>
+        )}
+      </div>
+
+      {processed < course.items.length && (
+        <ul className="mb-4 divide-y divide-gray-100 rounded-lg border border-gray-200 bg-white text-sm">
+          {course.items.map(item => (
+            <li key={item.id} className="flex items-center justify-between gap-3 px-4 py-2">
+              <span className="truncate text-gray-700" title={item.url}>
+                {item.position + 1}. {item.title || item.url}
+              </span>
+              <span
+                className={`flex-shrink-0 rounded-full px-2 py-0.5 text-xs font-medium ${
+                  itemStatusStyles[item.status] || itemStatusStyles.queued
+                }`}
+                title={item.error || undefined}
+              >
+                {item.stalled ? 'stalled' : itemStatusLabels[item.status] || item.status}
+                {item.status === 'running' && item.total_chunks > 0 &&
+                  ` ${item.completed_chunks}/${item.total_chunks}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {sources.length > 0 ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {sources.map(renderSource)}
         </div>
+      ) : (
+        <p className="text-sm text-gray-500">No quizzes in this course yet.</p>
+      )}
+    </section>
+  );
+}
+
+function SourceCard({ sourceUrl, metadata, quizCount, stats, onOpen, onDelete }) {
+  return (
+    <div
+      className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow cursor-pointer"
+      onClick={onOpen}
+    >
+      {/* Thumbnail with 16:9 aspect ratio */}
+      <div className="relative w-full" style={{ paddingTop: '56.25%' }}>
+        {metadata.thumbnail ? (
+          <Image
+            src={metadata.thumbnail}
+            unoptimized={isUnoptimizedImage(metadata.thumbnail)}
+            alt="Video thumbnail"
+            fill
+            className="absolute inset-0 w-full h-full object-cover"
+            onError={(e) => {
+              e.currentTarget.style.display = 'none';
+              e.currentTarget.parentElement.classList.add('bg-gradient-to-r', 'from-indigo-500', 'to-purple-600');
+            }}
+          />
+        ) : (
+          <div className="absolute inset-0 bg-gradient-to-r from-indigo-500 to-purple-600 flex items-center justify-center">
+            <svg
+              className="w-12 h-12 text-white opacity-75"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
+              />
+            </svg>
+          </div>
+        )}
+      </div>
+
+      <div className="p-4">
+        <h3 className="font-medium text-gray-900 line-clamp-2 mb-2">
+          {metadata.title || sourceUrl}
+        </h3>
+        {metadata.details && (
+          <p className="mb-2 truncate text-xs text-gray-500">{metadata.details}</p>
+        )}
+        {metadata.version && (
+          <p className="mb-2 text-xs text-indigo-600">{metadata.version}</p>
+        )}
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <span>{quizCount} quizzes</span>
+          <span>{metadata.difficulty_level}</span>
+        </div>
+        <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+          <span>Estimated time: {metadata.estimated_study_time}</span>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onDelete();
+            }}
+            className="text-gray-400 hover:text-red-600"
+          >
+            Delete
+          </button>
+        </div>
+        {stats ? (
+          <div className="mt-3 flex items-center justify-between rounded-md bg-indigo-50 px-3 py-2 text-xs text-indigo-800">
+            <span>Best {stats.best.score}%</span>
+            <span>Last {stats.last.score}% ({stats.last.correct}/{stats.last.answered})</span>
+            <span>{stats.attempts} attempt{stats.attempts === 1 ? '' : 's'}</span>
+          </div>
+        ) : (
+          <div className="mt-3 text-xs text-gray-400">Not attempted yet</div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,324 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Image from 'next/image';
+import { useAuth } from '../hooks/useAuth';
+import StudyMaterialsModal from '../components/StudyMaterialsModal';
+import { isUnoptimizedImage } from '../utils/images';
+import { formatLanguages } from '../utils/languages';
+import { formatVideoDetails } from '../utils/youtube';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export default function StudyMaterialsPage() {
+  const [materials, setMaterials] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [activeTag, setActiveTag] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openMaterials, setOpenMaterials] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  // Bumped to list the library again after a source is restored
+  const [refreshKey, setRefreshKey] = useState(0);
+  const router = useRouter();
+  const { user, loading: authLoading, authFetch } = useAuth();
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedQuery(query.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  useEffect(() => {
+    if (authLoading) return;
+
+    if (!user) {
+      router.push('/');
+      return;
+    }
+
+    async function fetchMaterials() {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams();
+        if (debouncedQuery) params.set('q', debouncedQuery);
+        if (activeTag) params.set('tag', activeTag);
+        const response = await authFetch(`/api/study-materials?${params}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch study materials');
+        }
+        const data = await response.json();
+        setMaterials(data.materials);
+        setTags(data.tags);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchMaterials();
+  }, [user, authLoading, router, authFetch, debouncedQuery, activeTag, refreshKey]);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await authFetch('/api/study-materials/trash');
+      if (!response.ok) {
+        throw new Error('Failed to fetch trash');
+      }
+      const data = await response.json();
+      setTrash(data);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (showTrash && user) fetchTrash();
+  }, [showTrash, user, fetchTrash]);
+
+  // Run a delete or restore request, showing its error above the library if it fails
+  const runAction = async (path, method) => {
+    setActionError(null);
+    const response = await authFetch(path, { method });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setActionError(data.error || 'Something went wrong');
+      return false;
+    }
+    return true;
+  };
+
+  const deleteSource = async (material) => {
+    const title = material.title || material.url;
+    if (!window.confirm(`Move "${title}" to the trash? You can restore it for 30 days.`)) return;
+    if (await runAction(`/api/study-materials/${material.id}`, 'DELETE')) {
+      setMaterials(prev => prev.filter(other => other.id !== material.id));
+      if (showTrash) fetchTrash();
+    }
+  };
+
+  const restoreSource = async (material) => {
+    if (await runAction(`/api/study-materials/${material.id}/restore`, 'POST')) {
+      fetchTrash();
+      setRefreshKey(key => key + 1);
+    }
+  };
+
+  const deleteForever = async (material) => {
+    const title = material.title || material.url;
+    if (!window.confirm(`Delete "${title}" and all its flashcards and questions for good? This cannot be undone.`)) return;
+    if (await runAction(`/api/study-materials/${material.id}?permanent=true`, 'DELETE')) {
+      fetchTrash();
+    }
+  };
+
+  const openSource = async (id) => {
+    try {
+      const response = await authFetch(`/api/study-materials/${id}`);
+      if (!response.ok) {
+        throw new Error('Failed to load study materials');
+      }
+      const data = await response.json();
+      setOpenMaterials(data.materials);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h2 className="text-red-600 text-xl font-semibold">Error: {error}</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Study Materials</h1>
+          <p className="mt-2 text-gray-600">Everything you have processed, searchable in one place</p>
+          <button
+            onClick={() => setShowTrash(!showTrash)}
+            className="mt-3 text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            {showTrash ? 'Hide trash' : 'Show trash'}
+          </button>
+        </div>
+
+        {actionError && (
+          <div className="mb-6 rounded-lg bg-red-50 p-4 text-sm text-red-600">{actionError}</div>
+        )}
+
+        {showTrash && (
+          <TrashSection trash={trash} onRestore={restoreSource} onDeleteForever={deleteForever} />
+        )}
+
+        <div className="mb-6 space-y-4">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search summaries, flashcards and questions..."
+            className="block w-full rounded-md border-0 py-2 text-gray-900 shadow-sm ring-1 ring-inset ring-gray-300 placeholder:text-gray-400 focus:ring-2 focus:ring-inset focus:ring-indigo-600 sm:text-sm sm:leading-6"
+          />
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {tags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => setActiveTag(activeTag === tag ? '' : tag)}
+                  className={`rounded-full px-3 py-1 text-xs font-medium transition-colors ${
+                    activeTag === tag
+                      ? 'bg-indigo-600 text-white'
+                      : 'bg-white text-gray-700 ring-1 ring-inset ring-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  #{tag} <span className="opacity-70">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {authLoading || loading ? (
+          <div className="animate-pulse grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[0, 1, 2].map(i => (
+              <div key={i} className="h-72 bg-gray-200 rounded-lg"></div>
+            ))}
+          </div>
+        ) : materials.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900">
+              {debouncedQuery || activeTag ? 'No matching study materials' : 'No study materials yet'}
+            </h3>
+            <p className="mt-2 text-gray-600">
+              {debouncedQuery || activeTag
+                ? 'Try a different search or tag.'
+                : 'Process a video or article to build your library.'}
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {materials.map(material => (
+              <div
+                key={material.id}
+                className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden hover:shadow-md transition-shadow cursor-pointer"
+                onClick={() => openSource(material.id)}
+              >
+                <div className="relative w-full" style={{ paddingTop: '56.25%' }}>
+                  {material.thumbnail ? (
+                    <Image
+                      src={material.thumbnail}
+                      unoptimized={isUnoptimizedImage(material.thumbnail)}
+                      alt="Source thumbnail"
+                      fill
+                      className="absolute inset-0 w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="absolute inset-0 bg-gradient-to-r from-indigo-500 to-purple-600" />
+                  )}
+                </div>
+
+                <div className="p-4">
+                  <h3 className="font-medium text-gray-900 line-clamp-1 mb-2">{material.title || material.url}</h3>
+                  {(formatVideoDetails(material) || formatLanguages(material)) && (
+                    <p className="-mt-1 mb-2 truncate text-xs text-gray-500">
+                      {[formatVideoDetails(material), formatLanguages(material)].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
+                  <ul className="space-y-1 text-sm text-gray-600">
+                    {material.summary_preview.map((point, index) => (
+                      <li key={index} className="line-clamp-2">• {point}</li>
+                    ))}
+                  </ul>
+                  {material.hashtags.length > 0 && (
+                    <div className="mt-3 flex flex-wrap gap-1">
+                      {material.hashtags.map(tag => (
+                        <span key={tag} className="rounded-full bg-indigo-50 px-2 py-0.5 text-xs text-indigo-700">#{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="mt-3 flex items-center justify-between text-xs text-gray-500">
+                    <span>{material.flashcards_count} flashcards · {material.quizzes_count} questions</span>
+                    <span>
+                      {material.difficulty_level}
+                      {material.estimated_study_time && ` · ${material.estimated_study_time} min`}
+                    </span>
+                  </div>
+                  <div className="mt-2 text-right">
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteSource(material);
+                      }}
+                      className="text-xs text-gray-400 hover:text-red-600"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <StudyMaterialsModal
+        isOpen={Boolean(openMaterials)}
+        onClose={() => setOpenMaterials(null)}
+        materials={openMaterials}
+      />
+    </div>
+  );
+}
+
+// Deleted sources, each with restore and delete-forever actions until it is purged
+function TrashSection({ trash, onRestore, onDeleteForever }) {
+  if (!trash) {
+    return <div className="mb-8 h-16 animate-pulse rounded-lg bg-gray-200" />;
+  }
+
+  return (
+    <section className="mb-8 rounded-lg border border-gray-200 bg-white p-4">
+      <h2 className="text-lg font-semibold text-gray-900">Trash</h2>
+      <p className="text-sm text-gray-500">
+        Deleted sources are removed for good after {trash.retentionDays} days.
+      </p>
+      {trash.materials.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-gray-100 text-sm">
+          {trash.materials.map(material => (
+            <li key={material.id} className="flex items-center justify-between gap-3 py-2">
+              <div className="min-w-0">
+                <p className="truncate text-gray-900">{material.title || material.url}</p>
+                <p className="text-xs text-gray-500">
+                  Removed for good on {new Date(material.purge_at).toLocaleDateString()}
+                </p>
+              </div>
+              <div className="flex flex-shrink-0 gap-3">
+                <button onClick={() => onRestore(material)} className="text-indigo-600 hover:text-indigo-800">
+                  Restore
+                </button>
+                <button onClick={() => onDeleteForever(material)} className="text-gray-500 hover:text-red-600">
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+
+// Elements that never hold the readable body of an article
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]',
+  '.ad', '.ads', '.advert', '.advertisement', '[class*="sponsor"]', '[id*="google_ads"]',
+  '.sidebar', '.comments', '#comments', '.share', '.social', '.newsletter', '.related', '.cookie'
+].join(',');
+
+// Candidate containers for the main content, most specific first
+const CONTENT_SELECTORS = [
+  'article',
+  '[itemprop="articleBody"]',
+  'main',
+  '[role="main"]',
+  '.post-content',
+  '.entry-content',
+  '.article-content',
+  '.article-body',
+  '#content',
+  '.content'
+];
+
+function getMeta($, ...names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"]`).attr('content') ||
+      $(`meta[name="${name}"]`).attr('content');
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+// Collect paragraph-level text from a container so headings and lists keep their breaks
+function collectText($, container) {
+  const blocks = [];
+  container.find('h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td').each((_, el) => {
+    // Skip blocks nested in another collected block (e.g. <p> inside <li>)
+    if ($(el).parents('p, li, pre, blockquote').length > 0) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+  });
+
+  if (blocks.length === 0) {
+    return container.text().replace(/\s+/g, ' ').trim();
+  }
+  return blocks.join('\n');
+}
+
+function resolveUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse an article page into its readable text plus metadata
+export function parseArticle(html, url) {
+  const $ = cheerio.load(html);
+
+  const title = getMeta($, 'og:title', 'twitter:title') ||
+    $('title').first().text().trim() ||
+    $('h1').first().text().trim() ||
+    null;
+
+  const author = getMeta($, 'author', 'article:author', 'twitter:creator') ||
+    $('[rel="author"]').first().text().trim() ||
+    $('[itemprop="author"]').first().text().trim() ||
+    null;
+
+  const image = resolveUrl(getMeta($, 'og:image', 'og:image:url', 'twitter:image'), url);
+
+  $(NOISE_SELECTORS).remove();
+
+  // Pick the first container with a meaningful amount of text, falling back to <body>
+  let content = '';
+  for (const selector of CONTENT_SELECTORS) {
+    const container = $(selector).first();
+    if (container.length === 0) continue;
+    const text = collectText($, container);
+    if (text.length > 200) {
+      content = text;
+      break;
+    }
+  }
+  if (!content) {
+    content = collectText($, $('body'));
+  }
+
+  return { title, author, image, content };
+}
+
+// Fetch a web page and extract its main readable content
+export async function getArticleContent(url) {
+  console.log('Starting article fetch for:', url);
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; WeStudyBot/1.0)',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      responseType: 'text',
+      timeout: 15000
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    const article = parseArticle(response.data, url);
+    if (!article.content || article.content.length < 100) {
+      throw new Error('No readable content found on this page');
+    }
+
+    console.log('Successfully extracted article, length:', article.content.length);
+    return article;
+  } catch (error) {
+    console.error('Detailed error in getArticleContent:', {
+      message: error?.message,
+      status: error?.response?.status
+    });
+    if (error?.response?.status) {
+      throw new Error(`Failed to fetch article: HTTP ${error.response.status}`);
+    }
+    throw new Error(`Failed to fetch article: ${error.message}`);
+  }
+}
@@ -0,0 +1,62 @@
+// Parse caption files (SRT, WebVTT) or plain text into { start, duration, text } segments.
+// Plain text has no timing, so its segments have a null start.
+
+// Longest caption file or pasted transcript accepted; 2 MB of text is many hours of speech, so
+// anything bigger is not a transcript
+export const MAX_CAPTIONS_LENGTH = 2 * 1024 * 1024;
+
+// "00:01:02,500", "01:02.500" or "1:02:03.000"
+const CUE_TIME = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+const CUE_TIMING_LINE = new RegExp(`${CUE_TIME.source}\\s*-->\\s*${CUE_TIME.source}`);
+
+function toSeconds(hours, minutes, seconds, millis) {
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+// Inline markup such as <i>, <c.colorE5E5E5> or {\an8}
+function stripCueMarkup(text) {
+  return text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]+\}/g, '').trim();
+}
+
+export function isTimedCaptions(text) {
+  return CUE_TIMING_LINE.test(text);
+}
+
+function parseTimedCaptions(text) {
+  const segments = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_LINE.test(line));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE and STYLE blocks
+
+    const match = lines[timingIndex].match(CUE_TIMING_LINE);
+    const start = toSeconds(match[1], match[2], match[3], match[4]);
+    const end = toSeconds(match[5], match[6], match[7], match[8]);
+    const cueText = stripCueMarkup(lines.slice(timingIndex + 1).join(' '));
+    if (!cueText) continue;
+
+    // Auto-generated VTT repeats the previous line at the start of each cue
+    const previous = segments[segments.length - 1];
+    if (previous && cueText === previous.text) continue;
+
+    segments.push({ start, duration: Math.max(0, end - start), text: cueText });
+  }
+
+  return segments;
+}
+
+function parsePlainText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(paragraph => ({ start: null, duration: null, text: paragraph }));
+}
+
+export function parseCaptions(text) {
+  const source = String(text || '');
+  return isTimedCaptions(source) ? parseTimedCaptions(source) : parsePlainText(source);
+}
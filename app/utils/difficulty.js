@@ -0,0 +1,16 @@
+// Per-question difficulty levels, from easiest to hardest
+export const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard', 'extreme'];
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+// Map whatever the model produced onto a known level
+export function normalizeDifficulty(value) {
+  const difficulty = String(value || '').trim().toLowerCase();
+  return QUIZ_DIFFICULTIES.includes(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+}
+
+// Sort comparator ordering questions from easy to extreme
+export function compareDifficulty(a, b) {
+  return QUIZ_DIFFICULTIES.indexOf(normalizeDifficulty(a.difficulty)) -
+    QUIZ_DIFFICULTIES.indexOf(normalizeDifficulty(b.difficulty));
+}
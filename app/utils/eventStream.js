@@ -0,0 +1,81 @@
+// Wrap a run in a Server-Sent Events stream of the events it sends. Once the client goes away
+// sending does nothing, so a closed connection never fails the work behind the stream.
+export function createEventStream(run) {
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  return new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch (error) {
+          closed = true;
+        }
+      };
+
+      try {
+        await run(send);
+      } finally {
+        if (!closed) {
+          closed = true;
+          try {
+            controller.close();
+          } catch (error) {
+            // The client went away between the last event and now
+          }
+        }
+      }
+    },
+    cancel() {
+      closed = true;
+    }
+  });
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each message
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (message) => {
+    let event = 'message';
+    const dataLines = [];
+    for (const line of message.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+    if (dataLines.length === 0) return;
+
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // Plain-text payloads are passed through as-is
+    }
+    onEvent(event, data);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
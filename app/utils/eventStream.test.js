@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { createEventStream, readEventStream } from './eventStream';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createEventStream', () => {
+  it('sends each event as a Server-Sent Event', async () => {
+    const stream = createEventStream(async (send) => {
+      send('progress', { step: 'job' });
+      send('result', { ok: true });
+    });
+
+    const events = [];
+    await readEventStream(new Response(stream), (event, data) => events.push([event, data]));
+    expect(events).toEqual([['progress', { step: 'job' }], ['result', { ok: true }]]);
+  });
+
+  it('keeps running the job after the client disconnects', async () => {
+    let finishJob;
+    const jobDone = new Promise(resolve => { finishJob = resolve; });
+    const stream = createEventStream(async (send) => {
+      // Like runJob: progress is sent between steps, and a throw would fail the job
+      try {
+        for (let step = 0; step < 5; step++) {
+          send('progress', { step });
+          await tick();
+        }
+        send('result', { status: 'done' });
+        finishJob('done');
+      } catch (error) {
+        finishJob('failed');
+      }
+    });
+
+    const reader = stream.getReader();
+    await reader.read();
+    await reader.cancel();
+
+    await expect(jobDone).resolves.toBe('done');
+  });
+});
@@ -0,0 +1,153 @@
+// Options for how study materials are generated: how many flashcards and quiz questions, the mix
+// of quiz difficulties, which kinds of questions and an exam to prepare for. Validation is
+// shared by the home page form and the API; the parsed options are stored with the material.
+import { QUIZ_DIFFICULTIES } from './difficulty';
+
+export const MAX_FLASHCARD_COUNT = 100;
+export const MAX_QUIZ_COUNT = 100;
+export const MAX_EXAM_FOCUS_LENGTH = 60;
+
+// `prompt` is how the kind is described to the model
+export const QUESTION_TYPES = [
+  { value: 'conceptual', label: 'Conceptual', prompt: 'conceptual questions on why and how things work' },
+  { value: 'factual', label: 'Facts and definitions', prompt: 'recall of facts, terms and definitions' },
+  { value: 'numerical', label: 'Numerical problems', prompt: 'numerical problems that need a calculation' },
+  { value: 'application', label: 'Applied scenarios', prompt: 'scenarios that apply the ideas to a new situation' },
+  { value: 'code', label: 'Code', prompt: 'reading, completing or debugging code' }
+];
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function parseCount(value, label, max) {
+  if (isBlank(value)) return { count: null };
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    return { error: `${label} must be a whole number between 1 and ${max}` };
+  }
+  return { count };
+}
+
+// Percentages of quiz questions per difficulty; blank levels count as 0 and all blank means
+// the model spreads them
+function parseDifficultyMix(value) {
+  if (isBlank(value)) return { difficultyMix: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Difficulty mix must be an object of percentages' };
+  }
+
+  const unknown = Object.keys(value).find(level => !QUIZ_DIFFICULTIES.includes(level));
+  if (unknown) {
+    return { error: `Unknown difficulty "${unknown}"` };
+  }
+  if (QUIZ_DIFFICULTIES.every(level => isBlank(value[level]))) {
+    return { difficultyMix: null };
+  }
+
+  const difficultyMix = {};
+  for (const level of QUIZ_DIFFICULTIES) {
+    const percent = isBlank(value[level]) ? 0 : Number(value[level]);
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+      return { error: `The ${level} share must be a whole percentage between 0 and 100` };
+    }
+    difficultyMix[level] = percent;
+  }
+
+  const total = QUIZ_DIFFICULTIES.reduce((sum, level) => sum + difficultyMix[level], 0);
+  if (total !== 100) {
+    return { error: `Difficulty shares must add up to 100% (they add up to ${total}%)` };
+  }
+  return { difficultyMix };
+}
+
+function parseQuestionTypes(value) {
+  if (isBlank(value)) return { questionTypes: null };
+  if (!Array.isArray(value)) {
+    return { error: 'Question types must be a list' };
+  }
+
+  const known = QUESTION_TYPES.map(type => type.value);
+  const unknown = value.find(type => !known.includes(type));
+  if (unknown) {
+    return { error: `Question types must be among: ${known.join(', ')}` };
+  }
+  // Kept in the order of QUESTION_TYPES, so equal choices store equally
+  const questionTypes = known.filter(type => value.includes(type));
+  return { questionTypes: questionTypes.length > 0 ? questionTypes : null };
+}
+
+// Validate generation options from the client ({ flashcardCount, quizCount, difficultyMix,
+// questionTypes, examFocus }, or the same as JSON text from a form). Blank fields are left to
+// the model. Resolves to { generationOptions } (null when nothing is set) or { error }.
+export function parseGenerationOptions(value) {
+  if (isBlank(value)) return { generationOptions: null };
+
+  let raw = value;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'Generation options must be a JSON object' };
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Generation options must be an object' };
+  }
+
+  const flashcards = parseCount(raw.flashcardCount, 'Flashcards', MAX_FLASHCARD_COUNT);
+  if (flashcards.error) return flashcards;
+  const quiz = parseCount(raw.quizCount, 'Quiz questions', MAX_QUIZ_COUNT);
+  if (quiz.error) return quiz;
+  const { difficultyMix, error: mixError } = parseDifficultyMix(raw.difficultyMix);
+  if (mixError) return { error: mixError };
+  const { questionTypes, error: typesError } = parseQuestionTypes(raw.questionTypes);
+  if (typesError) return { error: typesError };
+
+  const examFocus = typeof raw.examFocus === 'string' ? raw.examFocus.trim() : '';
+  if (examFocus.length > MAX_EXAM_FOCUS_LENGTH) {
+    return { error: `Exam focus must be at most ${MAX_EXAM_FOCUS_LENGTH} characters` };
+  }
+
+  const generationOptions = {
+    flashcardCount: flashcards.count,
+    quizCount: quiz.count,
+    difficultyMix,
+    questionTypes,
+    examFocus: examFocus || null
+  };
+  const isSet = Object.values(generationOptions).some(option => option !== null);
+  return { generationOptions: isSet ? generationOptions : null };
+}
+
+// Whether two sets of parsed options ask for the same materials; null is no options at all.
+// Stored options come back from jsonb with their keys reordered, so fields are compared one by one.
+export function sameGenerationOptions(a, b) {
+  const fields = option => [
+    option?.flashcardCount ?? null,
+    option?.quizCount ?? null,
+    option?.difficultyMix ? QUIZ_DIFFICULTIES.map(level => option.difficultyMix[level]) : null,
+    option?.questionTypes ?? null,
+    option?.examFocus ?? null
+  ];
+  return JSON.stringify(fields(a)) === JSON.stringify(fields(b));
+}
+
+// Short description of the options a material was generated with, like
+// "20 flashcards · 15 questions · GATE"; null when there are none
+export function formatGenerationOptions(options) {
+  if (!options) return null;
+  const parts = [
+    options.flashcardCount && `${options.flashcardCount} flashcards`,
+    options.quizCount && `${options.quizCount} questions`,
+    options.difficultyMix && QUIZ_DIFFICULTIES
+      .filter(level => options.difficultyMix[level] > 0)
+      .map(level => `${options.difficultyMix[level]}% ${level}`)
+      .join(', '),
+    options.questionTypes && options.questionTypes
+      .map(value => QUESTION_TYPES.find(type => type.value === value)?.label || value)
+      .join(', '),
+    options.examFocus
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
@@ -0,0 +1,23 @@
+// Images next/image may optimize, the same as images.remotePatterns in next.config.mjs. Every
+// other image is loaded by the browser itself, so the server never fetches arbitrary URLs.
+const OPTIMIZED_HOSTS = ['i.ytimg.com', 'img.youtube.com'];
+const STORAGE_PATH = '/storage/v1/object/public/';
+
+function isStorageImage({ hostname, pathname }) {
+  try {
+    return hostname === new URL(process.env.NEXT_PUBLIC_SUPABASE_URL).hostname
+      && pathname.startsWith(STORAGE_PATH);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether next/image has to show `src` unoptimized, for its `unoptimized` prop
+export function isUnoptimizedImage(src) {
+  try {
+    const url = new URL(src);
+    return url.protocol !== 'https:' || !(OPTIMIZED_HOSTS.includes(url.hostname) || isStorageImage(url));
+  } catch (error) {
+    return true;
+  }
+}
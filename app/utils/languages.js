@@ -0,0 +1,45 @@
+// Language codes (BCP 47, like "en" or "pt-BR") for transcripts and generated study materials
+
+// Offered for generated materials; any valid code is accepted by the API
+export const OUTPUT_LANGUAGES = [
+  'en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'ru', 'uk', 'tr', 'ar',
+  'hi', 'bn', 'ta', 'te', 'mr', 'ur', 'id', 'vi', 'th', 'ja', 'ko', 'zh'
+];
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+export function isLanguageCode(value) {
+  return typeof value === 'string' && LANGUAGE_CODE.test(value);
+}
+
+// English name of a language ("pt-BR" to "Brazilian Portuguese"); the code itself if unknown
+export function getLanguageName(code) {
+  if (!isLanguageCode(code)) return code;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// Validate an optional language from the client; empty means automatic
+export function parseLanguage(value, label = 'Language') {
+  if (value === undefined || value === null || value === '') {
+    return { language: null };
+  }
+  if (!isLanguageCode(value)) {
+    return { error: `${label} must be a language code like "en" or "pt-BR"` };
+  }
+  return { language: value };
+}
+
+// "Spanish → English" for a material generated from a transcript in another language,
+// "Spanish" when both match; empty if neither language is known
+export function formatLanguages(material) {
+  const { transcript_language: source, output_language: output } = material || {};
+  if (!source && !output) return '';
+  if (!source || !output || source.split('-')[0] === output.split('-')[0]) {
+    return getLanguageName(output || source);
+  }
+  return `${getLanguageName(source)} → ${getLanguageName(output)}`;
+}
@@ -0,0 +1,37 @@
+// Document locations: "[Page 3]" / "[Slide 3]" markers in extracted text and { start, end } page ranges
+
+const PAGE_MARKER = /\[(?:Page|Slide) (\d+)\]/g;
+
+// Slide decks are uploaded as .pptx; every other document is numbered in pages
+export function getPageLabel(url) {
+  return /\.pptx$/i.test(decodeURIComponent(String(url || ''))) ? 'Slide' : 'Page';
+}
+
+// "3", "Page 3" or "[Slide 3]" to 3; null if it is not a page number
+export function parsePageNumber(value) {
+  const match = String(value ?? '').trim().match(/^\[?(?:(?:page|slide|p\.)\s*)?(\d+)\]?$/i);
+  if (!match) return null;
+  const page = Number(match[1]);
+  return page > 0 ? page : null;
+}
+
+export function formatPageRange({ start, end }, label = 'Page') {
+  return end > start ? `${label}s ${start}–${end}` : `${label} ${start}`;
+}
+
+// One "[Page N] text" line per page, so chunks split between pages like transcript lines.
+// Blank pages (scanned images, section dividers) are left out.
+export function formatPages(pages, label = 'Page') {
+  return pages
+    .map((text, index) => ({ number: index + 1, text: text.replace(/\s+/g, ' ').trim() }))
+    .filter(page => page.text)
+    .map(page => `[${label} ${page.number}] ${page.text}`)
+    .join('\n');
+}
+
+// Pages covered by the page markers in a piece of document text, or null if it has none
+export function getPageRange(text) {
+  const pages = Array.from(String(text).matchAll(PAGE_MARKER), match => Number(match[1]));
+  if (pages.length === 0) return null;
+  return { start: Math.min(...pages), end: Math.max(...pages) };
+}
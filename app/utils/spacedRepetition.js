@@ -0,0 +1,77 @@
+// SM-2 style scheduling for flashcard reviews
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+
+// SM-2 recall quality (0-5) for each grade button
+const GRADE_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+const RELEARN_DELAY_MINUTES = 10; // "again" brings the card back later in the same session
+const EASY_BONUS = 1.3;
+const HARD_FACTOR = 1.2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compute the next review state of a card from its current state and the user's grade
+export function scheduleReview(card, grade, now = new Date()) {
+  const quality = GRADE_QUALITY[grade];
+  if (quality === undefined) {
+    throw new Error(`Invalid grade: ${grade}`);
+  }
+
+  const previousEase = card.ease_factor || DEFAULT_EASE_FACTOR;
+  const previousInterval = card.interval_days || 0;
+  const previousRepetitions = card.repetitions || 0;
+
+  // Standard SM-2 ease update, never below the minimum
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previousEase + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    // Forgotten: start the repetition sequence again
+    return {
+      ease_factor: easeFactor,
+      interval_days: 0,
+      repetitions: 0,
+      due_at: new Date(now.getTime() + RELEARN_DELAY_MINUTES * 60 * 1000).toISOString(),
+      last_reviewed_at: now.toISOString()
+    };
+  }
+
+  const repetitions = previousRepetitions + 1;
+  let intervalDays;
+  if (repetitions === 1) {
+    intervalDays = grade === 'easy' ? 4 : 1;
+  } else if (repetitions === 2) {
+    intervalDays = grade === 'hard' ? 3 : 6;
+  } else if (grade === 'hard') {
+    intervalDays = previousInterval * HARD_FACTOR;
+  } else {
+    intervalDays = previousInterval * easeFactor * (grade === 'easy' ? EASY_BONUS : 1);
+  }
+  intervalDays = Math.max(1, Math.round(intervalDays));
+
+  return {
+    ease_factor: easeFactor,
+    interval_days: intervalDays,
+    repetitions,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString()
+  };
+}
+
+// End of the current day in the local timezone, used for "due today" counts; the browser
+// computes it for the user's day
+export function endOfToday(now = new Date()) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
@@ -0,0 +1,144 @@
+// Flashcards and quiz questions written or corrected by hand: validation shared by the
+// editing forms and the API, and the mapping from stored rows to the generated shape
+import { QUIZ_DIFFICULTIES, DEFAULT_DIFFICULTY } from './difficulty';
+
+export const MAX_ITEM_TEXT_LENGTH = 1000;
+export const MIN_QUIZ_OPTIONS = 2;
+export const MAX_QUIZ_OPTIONS = 6;
+const MAX_REPORT_REASON_LENGTH = 500;
+
+// "Generate more" requests: what to add, how many and the learner's instructions
+export const MORE_ITEM_TYPES = ['flashcards', 'quiz'];
+export const DEFAULT_MORE_COUNT = 10;
+export const MAX_MORE_COUNT = 30;
+export const MAX_INSTRUCTIONS_LENGTH = 500;
+
+function parseText(value, label) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    return { error: `${label} is required` };
+  }
+  if (text.length > MAX_ITEM_TEXT_LENGTH) {
+    return { error: `${label} must be at most ${MAX_ITEM_TEXT_LENGTH} characters` };
+  }
+  return { text };
+}
+
+// Validate a flashcard ({ question, answer }); resolves to { flashcard } or { error }
+export function parseFlashcard({ question, answer } = {}) {
+  const parsedQuestion = parseText(question, 'Question');
+  if (parsedQuestion.error) return parsedQuestion;
+  const parsedAnswer = parseText(answer, 'Answer');
+  if (parsedAnswer.error) return parsedAnswer;
+
+  return { flashcard: { question: parsedQuestion.text, answer: parsedAnswer.text } };
+}
+
+// Validate a quiz question ({ question, options, correctAnswer, difficulty }); the correct
+// answer must be one of the options. Resolves to { quiz } or { error }.
+export function parseQuizQuestion({ question, options, correctAnswer, difficulty } = {}) {
+  const parsedQuestion = parseText(question, 'Question');
+  if (parsedQuestion.error) return parsedQuestion;
+
+  if (!Array.isArray(options) || options.length < MIN_QUIZ_OPTIONS || options.length > MAX_QUIZ_OPTIONS) {
+    return { error: `A question needs ${MIN_QUIZ_OPTIONS} to ${MAX_QUIZ_OPTIONS} options` };
+  }
+  const parsedOptions = [];
+  for (const [index, option] of options.entries()) {
+    const parsedOption = parseText(option, `Option ${index + 1}`);
+    if (parsedOption.error) return parsedOption;
+    if (parsedOptions.includes(parsedOption.text)) {
+      return { error: `Option ${index + 1} repeats another option` };
+    }
+    parsedOptions.push(parsedOption.text);
+  }
+
+  const answer = typeof correctAnswer === 'string' ? correctAnswer.trim() : '';
+  if (!parsedOptions.includes(answer)) {
+    return { error: 'The correct answer must be one of the options' };
+  }
+
+  if (difficulty && !QUIZ_DIFFICULTIES.includes(difficulty)) {
+    return { error: `Difficulty must be one of: ${QUIZ_DIFFICULTIES.join(', ')}` };
+  }
+
+  return {
+    quiz: {
+      question: parsedQuestion.text,
+      options: parsedOptions,
+      correctAnswer: answer,
+      difficulty: difficulty || DEFAULT_DIFFICULTY
+    }
+  };
+}
+
+// Validate the optional note sent with a "flag as wrong" report; resolves to { reason } or { error }
+export function parseReportReason(value) {
+  const reason = typeof value === 'string' ? value.trim() : '';
+  if (reason.length > MAX_REPORT_REASON_LENGTH) {
+    return { error: `The note must be at most ${MAX_REPORT_REASON_LENGTH} characters` };
+  }
+  return { reason: reason || null };
+}
+
+// Validate a "generate more" request ({ type, count, instructions }), e.g. 10 more quiz
+// questions with "focus on the second half". Resolves to { request } or { error }.
+export function parseMoreRequest({ type, count, instructions } = {}) {
+  if (!MORE_ITEM_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${MORE_ITEM_TYPES.join(', ')}` };
+  }
+
+  const parsedCount = count === undefined || count === null || count === '' ? DEFAULT_MORE_COUNT : Number(count);
+  if (!Number.isInteger(parsedCount) || parsedCount < 1 || parsedCount > MAX_MORE_COUNT) {
+    return { error: `Count must be a whole number between 1 and ${MAX_MORE_COUNT}` };
+  }
+
+  const text = typeof instructions === 'string' ? instructions.trim() : '';
+  if (text.length > MAX_INSTRUCTIONS_LENGTH) {
+    return { error: `Instructions must be at most ${MAX_INSTRUCTIONS_LENGTH} characters` };
+  }
+
+  return { request: { type, count: parsedCount, instructions: text || null } };
+}
+
+// Stored start/end seconds of a flashcard or quiz row as a time range
+function toTimeRange(row) {
+  if (row.start_seconds === null || row.start_seconds === undefined) return null;
+  return { start: row.start_seconds, end: row.end_seconds ?? row.start_seconds };
+}
+
+// Stored page (or slide) numbers of a flashcard or quiz row from a document
+function toPageRange(row) {
+  if (row.page_start === null || row.page_start === undefined) return null;
+  return { start: row.page_start, end: row.page_end ?? row.page_start };
+}
+
+// A stored flashcard row in the shape generated materials use
+export function toFlashcard(row) {
+  return {
+    id: row.id,
+    question: row.question,
+    answer: row.answer,
+    timeRange: toTimeRange(row),
+    pageRange: toPageRange(row),
+    flagged: Boolean(row.flagged_at),
+    edited: Boolean(row.edited_at),
+    generationRunId: row.generation_run_id ?? null
+  };
+}
+
+// A stored quiz row in the shape generated materials use
+export function toQuizQuestion(row) {
+  return {
+    id: row.id,
+    question: row.question,
+    options: row.options,
+    correctAnswer: row.correct_answer,
+    difficulty: row.difficulty,
+    timeRange: toTimeRange(row),
+    pageRange: toPageRange(row),
+    flagged: Boolean(row.flagged_at),
+    edited: Boolean(row.edited_at),
+    generationRunId: row.generation_run_id ?? null
+  };
+}
@@ -0,0 +1,61 @@
+// Video timestamps: "1:23" / "1:02:03" markers in transcripts and { start, end } ranges in seconds
+
+// Captions are a few words each; group them into lines of about this many seconds
+const TRANSCRIPT_LINE_SECONDS = 20;
+
+const TIMESTAMP_MARKER = /\[(\d{1,2}:\d{2}(?::\d{2})?)\]/g;
+
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(total % 60)}`
+    : `${minutes}:${pad(total % 60)}`;
+}
+
+// "1:23" or "1:02:03" (optionally in brackets) to seconds; null if it is not a timestamp
+export function parseTimestamp(value) {
+  const match = String(value ?? '').trim().match(/^\[?(?:(\d+):)?(\d{1,2}):(\d{2})\]?$/);
+  if (!match) return null;
+  const [, hours, minutes, seconds] = match;
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+export function formatTimeRange({ start, end }) {
+  return end > start ? `${formatTimestamp(start)}–${formatTimestamp(end)}` : formatTimestamp(start);
+}
+
+// Turn caption segments ({ start, duration, text }) into "[m:ss] text" lines.
+// Untimed segments (plain-text transcripts) become paragraphs without markers.
+export function formatTranscript(segments) {
+  if (segments.every(segment => segment.start === null)) {
+    return segments.map(segment => segment.text).join('\n\n');
+  }
+
+  const lines = [];
+  let current = null;
+
+  for (const segment of segments) {
+    const text = segment.text.replace(/\[.*?\]/g, '').replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    if (!current || segment.start - current.start >= TRANSCRIPT_LINE_SECONDS) {
+      current = { start: segment.start, parts: [] };
+      lines.push(current);
+    }
+    current.parts.push(text);
+  }
+
+  return lines
+    .map(line => `[${formatTimestamp(line.start)}] ${line.parts.join(' ')}`)
+    .join('\n');
+}
+
+// Span covered by the timestamp markers in a piece of transcript text, or null if it has none
+export function getTimeRange(text) {
+  const seconds = Array.from(String(text).matchAll(TIMESTAMP_MARKER), match => parseTimestamp(match[1]));
+  if (seconds.length === 0) return null;
+  return { start: Math.min(...seconds), end: Math.max(...seconds) };
+}
@@ -0,0 +1,3 @@
+// Titles of sources and courses, whether given by the user or taken from a file or playlist,
+// are cut to this length when stored
+export const MAX_TITLE_LENGTH = 120;
@@ -1,22 +1,80 @@
-import axios from 'axios';
+// YouTube link parsing: every form of video link maps to one canonical watch URL, the
+// stable key a video's study materials are stored under. Safe to use in the browser.
 
-// Get video ID from URL
-export function getVideoId(url) {
-  try {
-    const urlObj = new URL(url);
-    let videoId = '';
+import { formatTimestamp } from './timestamps';
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_LINK_HOST = 'youtu.be';
+
+// Paths that carry the video ID as their second segment: /shorts/ID, /live/ID, /embed/ID
+const VIDEO_PATH_PREFIXES = new Set(['shorts', 'live', 'embed', 'v', 'e']);
 
-    if (urlObj.hostname === 'youtu.be') {
-      videoId = urlObj.pathname.slice(1);
-    } else if (urlObj.hostname === 'www.youtube.com' || urlObj.hostname === 'youtube.com') {
-      videoId = urlObj.searchParams.get('v');
-    }
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
 
-    return videoId;
+// Parse a link, accepting the "youtube.com/watch?v=..." people paste without a scheme.
+// Returns the URL object for YouTube links and null for anything else.
+function parseYouTubeUrl(url) {
+  const text = String(url || '').trim();
+  let urlObj;
+  try {
+    urlObj = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
   } catch (error) {
-    console.error('Error parsing YouTube URL:', error);
     return null;
   }
+  const hostname = urlObj.hostname.toLowerCase();
+  return YOUTUBE_HOSTS.has(hostname) || hostname === SHORT_LINK_HOST ? urlObj : null;
+}
+
+export function isYouTubeUrl(url) {
+  return parseYouTubeUrl(url) !== null;
+}
+
+// Video ID of a watch, youtu.be, shorts, live or embed link; null if the link names no video
+export function getVideoId(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj) return null;
+
+  const [first, second] = urlObj.pathname.split('/').filter(Boolean);
+  let videoId = null;
+  if (urlObj.hostname.toLowerCase() === SHORT_LINK_HOST) {
+    videoId = first;
+  } else if (first === 'watch') {
+    videoId = urlObj.searchParams.get('v');
+  } else if (VIDEO_PATH_PREFIXES.has(first)) {
+    videoId = second;
+  }
+
+  return videoId && VIDEO_ID.test(videoId) ? videoId : null;
+}
+
+// Playlist ID of a youtube.com/playlist?list= link (a watch link inside a playlist counts too)
+export function getPlaylistId(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj || urlObj.hostname.toLowerCase() === SHORT_LINK_HOST) return null;
+  return urlObj.searchParams.get('list');
+}
+
+// Channel of a youtube.com/channel/UC... or youtube.com/@handle link, as { id } or { handle }
+export function getChannelRef(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj || urlObj.hostname.toLowerCase() === SHORT_LINK_HOST) return null;
+
+  const [first, second] = urlObj.pathname.split('/').filter(Boolean);
+  if (first === 'channel' && second) return { id: second };
+  if (first?.startsWith('@')) return { handle: decodeURIComponent(first) };
+  return null;
+}
+
+// Canonical watch URL for a video, so every link variant maps to one key
+export function getCanonicalVideoUrl(videoId) {
+  return `https://www.youtube.com/watch?v=${videoId}`;
 }
 
 // Get video thumbnail URL
@@ -25,87 +83,19 @@ export function getVideoThumbnail(videoId) {
   return `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
 }
 
-// Get video transcript
-export async function getVideoTranscript(videoUrl) {
-  console.log('Starting transcript fetch for:', videoUrl);
-  try {
-    // Extract video ID from URL
-    const videoId = getVideoId(videoUrl);
-    if (!videoId) {
-      console.error('Invalid YouTube URL, could not extract video ID');
-      throw new Error('Invalid YouTube URL');
-    }
-    console.log('Extracted video ID:', videoId);
-
-    // First try with English
-    const options = {
-      method: 'GET',
-      url: 'https://youtube-transcriptor.p.rapidapi.com/transcript',
-      params: {
-        video_id: videoId,
-        lang: ''
-      },
-      headers: {
-        'x-rapidapi-key': process.env.NEXT_PUBLIC_RAPIDAPI_KEY,
-        'x-rapidapi-host': 'youtube-transcriptor.p.rapidapi.com'
-      }
-    };
-
-    console.log('Making RapidAPI request for video ID:', videoId);
-    let response = await axios.request(options);
-    
-    // If we get a language availability error, try with the first available language
-    if (response.data?.error === 'This language is not available on this video.' && 
-        Array.isArray(response.data?.availableLangs) && 
-        response.data.availableLangs.length > 0) {
-      console.log('English not available, trying with language:', response.data.availableLangs[0]);
-      
-      // Update options with the first available language
-      options.params.lang = response.data.availableLangs[0];
-      response = await axios.request(options);
-    }
-
-    if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
-      if (response.data?.error) {
-        throw new Error(response.data.error);
-      }
-      console.error('Invalid response format:', response.data);
-      throw new Error('Invalid response from transcript service');
-    }
-
-    // Get the first transcript result
-    const transcriptData = response.data[0];
-    
-    if (!transcriptData.transcription || !Array.isArray(transcriptData.transcription)) {
-      console.error('No transcription found in response');
-      throw new Error('No transcript available for this video');
-    }
-
-    // Combine all subtitles into a single text
-    const fullText = transcriptData.transcription
-      .map(item => item.subtitle)
-      .join(' ')
-      .replace(/\[.*?\]/g, '') // Remove text in square brackets like [Applause]
-      .replace(/\s+/g, ' ')    // Replace multiple spaces with single space
-      .trim();
-
-    console.log('Successfully processed transcript, length:', fullText.length);
-    
-    // If we used a non-English language, add a note
-    if (options.params.lang !== 'en') {
-      return `[Note: This transcript is in ${options.params.lang} language as English was not available] ${fullText}`;
-    }
-    
-    return fullText;
-  } catch (error) {
-    console.error('Detailed error in getVideoTranscript:', {
-      message: error?.message,
-      response: error?.response?.data,
-      status: error?.response?.status
-    });
-    if (error?.response?.data?.error) {
-      throw new Error(`Failed to get video transcript: ${error.response.data.error}`);
-    }
-    throw new Error(`Failed to get video transcript: ${error.message}`);
-  }
+// Link that opens the video at the given second
+export function getTimestampUrl(url, seconds) {
+  const videoId = getVideoId(url);
+  if (!videoId) return null;
+  return `${getCanonicalVideoUrl(videoId)}&t=${Math.max(0, Math.floor(seconds))}s`;
+}
+
+// "Channel · 12:05 · Mar 3, 2024" from a study material's video details; empty if it has none
+export function formatVideoDetails(material) {
+  const { channel, duration_seconds: duration, published_at: publishedAt } = material || {};
+  return [
+    channel,
+    duration > 0 && formatTimestamp(duration),
+    publishedAt && new Date(publishedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+  ].filter(Boolean).join(' · ');
 }
@@ -1,8 +1,19 @@
+// Document previews are public objects in Supabase storage
+const storageHost = process.env.NEXT_PUBLIC_SUPABASE_URL && new URL(process.env.NEXT_PUBLIC_SUPABASE_URL).hostname;
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-    //allow images from all domains
+    // native module used to render PDF previews
+    serverExternalPackages: ['@napi-rs/canvas'],
     images: {
         domains: ['lh3.googleusercontent.com','img.youtube.com'],
+        // YouTube thumbnails and document previews; other thumbnails (like an article's og:image)
+        // are shown unoptimized, see app/utils/images.js
+        remotePatterns: [
+            { protocol: 'https', hostname: 'i.ytimg.com' },
+            { protocol: 'https', hostname: 'img.youtube.com' },
+            ...(storageHost ? [{ protocol: 'https', hostname: storageHost, pathname: '/storage/v1/object/public/**' }] : []),
+        ],
     },
 };
 
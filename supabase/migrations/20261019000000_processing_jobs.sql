@@ -0,0 +1,36 @@
+-- Persisted content-processing jobs with per-chunk results, so long sources
+-- can be processed in the background and failed chunks retried on their own.
+
+create table if not exists processing_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  url text not null,
+  source_url text not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'partial', 'failed', 'done')),
+  thumbnail text,
+  total_chunks integer not null default 0,
+  completed_chunks integer not null default 0,
+  failed_chunks integer not null default 0,
+  error text,
+  study_material_id bigint references study_materials (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists processing_jobs_user_id_idx
+  on processing_jobs (user_id, created_at desc);
+
+create table if not exists processing_job_chunks (
+  id bigint generated by default as identity primary key,
+  job_id uuid not null references processing_jobs (id) on delete cascade,
+  chunk_index integer not null,
+  content text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'running', 'done', 'failed')),
+  result jsonb,
+  error text,
+  attempts integer not null default 0,
+  updated_at timestamptz not null default now(),
+  unique (job_id, chunk_index)
+);
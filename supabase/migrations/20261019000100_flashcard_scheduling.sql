@@ -0,0 +1,12 @@
+-- SM-2 spaced-repetition state for each flashcard.
+-- A null due_at means the card has never been reviewed and is due now.
+
+alter table flashcards
+  add column if not exists ease_factor real not null default 2.5,
+  add column if not exists interval_days integer not null default 0,
+  add column if not exists repetitions integer not null default 0,
+  add column if not exists due_at timestamptz,
+  add column if not exists last_reviewed_at timestamptz;
+
+create index if not exists flashcards_user_due_idx
+  on flashcards (user_id, due_at);
@@ -0,0 +1,26 @@
+-- Quiz attempts and every answer submitted within them, so scores survive reloads.
+
+create table if not exists quiz_attempts (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  study_material_id bigint not null references study_materials (id) on delete cascade,
+  started_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists quiz_attempts_user_idx
+  on quiz_attempts (user_id, study_material_id, started_at desc);
+
+create table if not exists quiz_answers (
+  id bigint generated by default as identity primary key,
+  attempt_id uuid not null references quiz_attempts (id) on delete cascade,
+  quiz_id bigint not null references quizzes (id) on delete cascade,
+  user_id text not null,
+  selected_option text not null,
+  is_correct boolean not null,
+  time_taken_ms integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quiz_answers_attempt_idx
+  on quiz_answers (attempt_id, created_at);
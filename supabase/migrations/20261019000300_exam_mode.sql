@@ -0,0 +1,11 @@
+-- Timed exams are quiz attempts in "exam" mode that can span several sources.
+
+alter table quiz_attempts
+  alter column study_material_id drop not null,
+  add column if not exists mode text not null default 'practice'
+    check (mode in ('practice', 'exam')),
+  add column if not exists settings jsonb,
+  add column if not exists question_ids bigint[],
+  add column if not exists duration_seconds integer,
+  add column if not exists score real,
+  add column if not exists max_score real;
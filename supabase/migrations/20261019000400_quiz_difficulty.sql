@@ -0,0 +1,8 @@
+-- Per-question difficulty as generated by the model.
+
+alter table quizzes
+  add column if not exists difficulty text not null default 'medium'
+    check (difficulty in ('easy', 'medium', 'hard', 'extreme'));
+
+create index if not exists quizzes_difficulty_idx
+  on quizzes (study_material_id, difficulty);
@@ -0,0 +1,9 @@
+-- Per-material cap on consolidated summary points; null uses the default.
+
+alter table processing_jobs
+  add column if not exists summary_limit integer
+    check (summary_limit between 1 and 50);
+
+alter table study_materials
+  add column if not exists summary_limit integer
+    check (summary_limit between 1 and 50);
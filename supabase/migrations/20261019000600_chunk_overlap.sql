@@ -0,0 +1,4 @@
+-- End of the previous chunk, passed to the model as context for the next one.
+
+alter table processing_job_chunks
+  add column if not exists overlap text;
@@ -0,0 +1,12 @@
+-- Where in a video each generated item comes from, for "jump to moment" links.
+
+alter table study_materials
+  add column if not exists summary_time_ranges jsonb;
+
+alter table flashcards
+  add column if not exists start_seconds integer,
+  add column if not exists end_seconds integer;
+
+alter table quizzes
+  add column if not exists start_seconds integer,
+  add column if not exists end_seconds integer;
@@ -0,0 +1,21 @@
+-- Fetched YouTube transcripts, shared by every user processing the same video.
+
+create table if not exists transcripts (
+  video_id text primary key,
+  source text not null,
+  language text,
+  segments jsonb not null,
+  fetched_at timestamptz not null default now()
+);
+
+-- Captions a user uploaded for a video with no fetchable transcript; private to that user.
+
+create table if not exists caption_uploads (
+  id bigint generated by default as identity primary key,
+  user_id text not null,
+  video_id text not null,
+  language text,
+  segments jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, video_id)
+);
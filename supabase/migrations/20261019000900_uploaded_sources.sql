@@ -0,0 +1,9 @@
+-- Sources can be uploaded caption files or pasted text: they get a title, and the
+-- job keeps the uploaded text since there is no link to fetch it from again.
+
+alter table processing_jobs
+  add column if not exists title text,
+  add column if not exists content text;
+
+alter table study_materials
+  add column if not exists title text;
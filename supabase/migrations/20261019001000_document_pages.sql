@@ -0,0 +1,16 @@
+-- Page (or slide) of an uploaded PDF or slide deck each generated item comes from.
+
+alter table flashcards
+  add column if not exists page_start integer,
+  add column if not exists page_end integer;
+
+alter table quizzes
+  add column if not exists page_start integer,
+  add column if not exists page_end integer;
+
+-- First-page previews of uploaded documents, used as their thumbnails. Anyone can read them;
+-- only the server writes them, with the service role, so there is no insert policy.
+
+insert into storage.buckets (id, name, public)
+values ('previews', 'previews', true)
+on conflict (id) do nothing;
@@ -0,0 +1,25 @@
+-- Courses group the videos of a playlist, channel or pasted list of links that were
+-- processed as one batch. Each item is either a processing job or, when the source
+-- had been processed before, the existing study material.
+
+create table if not exists courses (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  title text not null,
+  source_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists courses_user_id_idx
+  on courses (user_id, created_at desc);
+
+create table if not exists course_items (
+  id bigint generated by default as identity primary key,
+  course_id uuid not null references courses (id) on delete cascade,
+  position integer not null,
+  url text not null,
+  title text,
+  job_id uuid references processing_jobs (id) on delete set null,
+  study_material_id bigint references study_materials (id) on delete set null,
+  unique (course_id, position)
+);
@@ -0,0 +1,11 @@
+-- Video details shown instead of the raw link: channel, length and publish date.
+
+alter table study_materials
+  add column if not exists channel text,
+  add column if not exists duration_seconds integer,
+  add column if not exists published_at timestamptz;
+
+-- Kept on the job between fetching the transcript and storing the material.
+
+alter table processing_jobs
+  add column if not exists metadata jsonb;
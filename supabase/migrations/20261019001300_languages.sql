@@ -0,0 +1,20 @@
+-- Transcripts are cached per caption language; '' is a transcript whose language is unknown.
+
+update transcripts set language = '' where language is null;
+
+alter table transcripts
+  alter column language set default '',
+  alter column language set not null,
+  drop constraint if exists transcripts_pkey,
+  add primary key (video_id, language);
+
+-- Language of the transcript a material was generated from, and of the generated text
+-- (null when it follows the source).
+
+alter table study_materials
+  add column if not exists transcript_language text,
+  add column if not exists output_language text;
+
+alter table processing_jobs
+  add column if not exists transcript_language text,
+  add column if not exists output_language text;
@@ -0,0 +1,25 @@
+-- Flashcards and quiz questions reported as wrong. The flag on the item is cleared when it
+-- is edited; the report itself is kept with a copy of the item as it was reported. Edited
+-- items are marked so they are never shared with other users.
+
+alter table flashcards
+  add column if not exists flagged_at timestamptz,
+  add column if not exists edited_at timestamptz;
+
+alter table quizzes
+  add column if not exists flagged_at timestamptz,
+  add column if not exists edited_at timestamptz;
+
+create table if not exists item_reports (
+  id bigint generated by default as identity primary key,
+  user_id text not null,
+  item_type text not null check (item_type in ('flashcard', 'quiz')),
+  item_id bigint not null,
+  study_material_id bigint references study_materials (id) on delete set null,
+  reason text,
+  snapshot jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists item_reports_item_idx
+  on item_reports (item_type, item_id);
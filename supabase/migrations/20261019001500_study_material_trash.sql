@@ -0,0 +1,32 @@
+-- Deleted sources stay in the trash for 30 days before they are removed for good.
+
+alter table study_materials
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists study_materials_trash_idx
+  on study_materials (user_id, deleted_at)
+  where deleted_at is not null;
+
+-- Remove a user's study material with its flashcards, quizzes and hashtags in one
+-- transaction. Attempts and answers go with them through their cascades.
+-- Returns false when the material does not exist or belongs to someone else.
+
+create or replace function delete_study_material(material_id bigint, owner_id text)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform 1 from study_materials
+    where id = material_id and user_id = owner_id
+    for update;
+  if not found then
+    return false;
+  end if;
+
+  delete from flashcards where study_material_id = material_id;
+  delete from quizzes where study_material_id = material_id;
+  delete from hashtags where study_material_id = material_id;
+  delete from study_materials where id = material_id;
+  return true;
+end;
+$$;
@@ -0,0 +1,29 @@
+-- Each time flashcards or quiz questions are generated for a source is a run: 'initial' for
+-- the first processing, 'more' for a "generate more" request with the user's instructions.
+-- Generated items point at their run; hand-written items have none.
+-- A run that found nothing new to add ends as 'empty'.
+
+create table if not exists generation_runs (
+  id bigint generated by default as identity primary key,
+  study_material_id bigint not null references study_materials (id) on delete cascade,
+  user_id text not null,
+  kind text not null check (kind in ('initial', 'more')),
+  item_type text check (item_type in ('flashcards', 'quiz')),
+  requested_count integer,
+  instructions text,
+  status text not null default 'running' check (status in ('running', 'done', 'empty', 'failed')),
+  error text,
+  added_flashcards integer not null default 0,
+  added_quizzes integer not null default 0,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists generation_runs_material_idx
+  on generation_runs (study_material_id, created_at);
+
+alter table flashcards
+  add column if not exists generation_run_id bigint references generation_runs (id) on delete set null;
+
+alter table quizzes
+  add column if not exists generation_run_id bigint references generation_runs (id) on delete set null;
@@ -0,0 +1,8 @@
+-- Options a material was generated with (target counts, quiz difficulty mix, question types,
+-- exam focus), so regenerating it asks for the same again. Null leaves everything to the model.
+
+alter table study_materials
+  add column if not exists generation_options jsonb;
+
+alter table processing_jobs
+  add column if not exists generation_options jsonb;
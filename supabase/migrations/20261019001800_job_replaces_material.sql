@@ -0,0 +1,5 @@
+-- The material an explicit regenerate replaces; it is moved to the trash once the new one is
+-- stored. Other jobs for a link the user already has keep both versions.
+
+alter table processing_jobs
+  add column if not exists replaces_study_material_id bigint references study_materials (id) on delete set null;
@@ -0,0 +1,39 @@
+-- Store the answers of an exam and mark it completed in one transaction, so a submission is
+-- either recorded whole or not at all. `answers` is a JSON array of
+-- { quiz_id, selected_option, is_correct }. Returns false when the exam does not exist,
+-- belongs to someone else or was already submitted.
+
+create or replace function submit_exam(
+  exam_id uuid,
+  owner_id text,
+  submitted_at timestamptz,
+  exam_score real,
+  exam_max_score real,
+  exam_settings jsonb,
+  answers jsonb
+)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform 1 from quiz_attempts
+    where id = exam_id and user_id = owner_id and mode = 'exam' and completed_at is null
+    for update;
+  if not found then
+    return false;
+  end if;
+
+  insert into quiz_answers (attempt_id, quiz_id, user_id, selected_option, is_correct)
+    select exam_id, answer.quiz_id, owner_id, answer.selected_option, answer.is_correct
+    from jsonb_to_recordset(answers)
+      as answer (quiz_id bigint, selected_option text, is_correct boolean);
+
+  update quiz_attempts
+    set completed_at = submitted_at,
+        score = exam_score,
+        max_score = exam_max_score,
+        settings = exam_settings
+    where id = exam_id;
+  return true;
+end;
+$$;
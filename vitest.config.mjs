@@ -0,0 +1,16 @@
+import { dirname } from "path";
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    // Same "@/" root as jsconfig.json
+    alias: { "@": __dirname },
+  },
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});